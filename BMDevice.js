@@ -15,7 +15,7 @@
         for more details at LICENSE.txt in this repository.
 */
 
-// Generic Blackmagic Device class, use with HyperDecks.
+// Generic Blackmagic Device class, BMCamera and BMHyperDeck build on it.
 class BMDevice {
     // Pretty name and network hostname (strings)
     name;
@@ -25,59 +25,217 @@ class BMDevice {
     // Are we using HTTPS?
     useHTTPS;
 
+    // fetch function and WebSocket class used to talk to the device
+    // The browser's built-in ones by default, see the constructor's options to swap them out.
+    fetchImpl;
+    WebSocketImpl;
+
     // WebSocket items
     ws;
     availableProperties;
 
+    // Promise that resolves once the first snapshot of every property has arrived in propertyData
+    // (Rejects if disconnect() is called before that happens)
+    ready;
+    resolveReady;
+    rejectReady;
+
+    // Connection state of the WebSocket, one of:
+    //  "connecting":   Opening the WebSocket for the first time
+    //  "live":         Connected and subscribed, propertyData is up to date
+    //  "stale":        Connection was lost and we're reconnecting, propertyData holds the last known values
+    //  "offline":      Couldn't reconnect for longer than offlineTimeout (or disconnect() was called)
+    connectionState = "connecting";
+
+    // Reconnection settings (all in ms)
+    // The delay between attempts doubles every time, from reconnectDelayMin up to reconnectDelayMax
+    reconnectDelayMin = 500;
+    reconnectDelayMax = 10000;
+    offlineTimeout = 15000;
+
+    // Reconnection bookkeeping
+    reconnectAttempts = 0;
+    reconnectTimer;
+    lastLiveTime;
+    shouldReconnect = true;
+
     // Active Flag
     // Won't call updateUI if this is false
     active = false;
 
+    // If true, PUTdata refuses endpoints that aren't described in BMEndpointSchema
+    // If false, they're sent without any checks (handy for endpoints added in newer firmware)
+    strictSchema = false;
+
+    // Health monitoring
+    // Every heartbeatInterval ms the device is asked for /system (0 turns this off).
+    //  After maxMissedHeartbeats unanswered heartbeats a "live" WebSocket is assumed dead and reconnected,
+    //  as a WebSocket can look open for a long time after the device has gone.
+    heartbeatInterval = 5000;
+    maxMissedHeartbeats = 2;
+    heartbeatTimer;
+    missedHeartbeats = 0;
+    lastHeartbeatTime;
+
+    // Round trip time of the last request and a running average (ms), see health
+    // Averages above slowLatency make the device's health "slow"
+    latency;
+    averageLatency;
+    slowLatency = 200;
+
+    // When the last WebSocket message arrived (Date.now())
+    lastMessageTime;
+
+    // Where the last jog() went and when, jogs can come faster than the device reports its position back
+    jogTarget;
+    jogTime = 0;
+
+    // BMChangeHistory that PUTdata records changes in, so they can be undone (none by default)
+    // Several devices can share one history.
+    changeHistory = null;
+
+    // Send queues for queuePUTdata, one per endpoint
+    // Object of objects indexed by endpoint: {batch, busy, lastSent, timer}
+    sendQueues = {};
+
+    // Ramps in progress (see ramp), indexed by endpoint and field like "/lens/focus normalised"
+    // Each is {timer, resolve, reject}
+    ramps = {};
+
+    // Time between the steps of a ramp (ms), queuePUTdata sends them no faster than sendInterval anyway
+    rampInterval = 40;
+
+    // Minimum time between two queued requests to the same endpoint (ms)
+    sendInterval = 50;
+
+    // How long to wait for the device to answer a request before giving up (ms)
+    requestTimeout = 5000;
+
+    // How many more times to try a GET or PUT that failed because the device was unreachable,
+    //  timed out or had a server error (5xx). The delay between tries doubles, starting at retryDelay (ms).
+    // POSTs and trigger endpoints (like /lens/focus/doAutoFocus) are never retried, doing them twice isn't harmless.
+    retries = 2;
+    retryDelay = 250;
+
     // JSON Object to store all data
     propertyData = {};
 
+    // Event listeners added with on() and once()
+    // Array of objects: {eventName, path, handler, once}
+    eventListeners = [];
+
     // Reference to UI Updating callback function
     // For BYOUI purposes (Bring-Your-Own-UI). If you're using this class for your own UI, 
     //  set this function to point to your UI updater.
+    // (Older, simpler alternative to on("change", handler))
     updateUI() {};
 
+    // Called whenever connectionState changes, with the new state as the argument
+    // Unlike updateUI, this is called regardless of the active flag.
+    connectionStateChanged(state) {};
+
     // ============= CONSTRUCTOR ================
-    constructor(hostname, secure=false) {
+    // options (all optional):
+    //  fetch:      fetch function to send requests with (default: globalThis.fetch)
+    //  WebSocket:  WebSocket class to connect with (default: globalThis.WebSocket)
+    //              In Node.js versions without a built-in WebSocket, pass in the one from the "ws" package.
+    constructor(hostname, secure=false, options={}) {
         // Set Security
         this.useHTTPS = secure;
 
+        // Set HTTP and WebSocket implementations
+        this.fetchImpl = options.fetch ?? globalThis.fetch?.bind(globalThis);
+        this.WebSocketImpl = options.WebSocket ?? globalThis.WebSocket;
+
+        if (!this.fetchImpl || !this.WebSocketImpl) {
+            throw new Error("BMDevice needs fetch and WebSocket, pass them in the constructor's options if your environment doesn't have them");
+        }
+
         // Set name properties
         this.hostname = hostname;
         this.APIAddress = (this.useHTTPS ? "https://" : "http://")+hostname+"/control/api/v1";
         this.name = this.hostname.replace(".local","").replaceAll("-"," ");
 
+        // Set up the ready Promise, resolved by the first subscribe response
+        this.ready = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+
+        // Don't report an unhandled rejection if nobody is waiting on it
+        this.ready.catch(() => {});
+
         // Initialize WebSocket
-        this.ws = new WebSocket((this.useHTTPS ? "wss://" : "ws://")+hostname+"/control/api/v1/event/websocket");
+        this.lastLiveTime = Date.now();
+        this.connectWebSocket();
+    }
 
-        // Get a self object for accessing within callback fns
-        var self = this;
+    // ============= WEBSOCKET ================
+
+    // Opens the WebSocket, subscribes to all properties once it's open,
+    //  and reconnects if it's closed unexpectedly.
+    // The handshake goes:
+    //  1. Socket opens, we ask for listProperties
+    //  2. listProperties response arrives, we subscribe to all of them in one message
+    //  3. subscribe response arrives with the current values of everything, and we're live
+    connectWebSocket() {
+        let socket = new this.WebSocketImpl((this.useHTTPS ? "wss://" : "ws://")+this.hostname+"/control/api/v1/event/websocket");
+        this.ws = socket;
 
         // Set the onmessage behavior
-        this.ws.onmessage = (event) => {
+        socket.onmessage = (event) => {
+            this.lastMessageTime = Date.now();
+
             // Parse the event's data as JSON
-            let eventData = JSON.parse(event.data);
+            let eventData;
+
+            try {
+                eventData = JSON.parse(event.data);
+            } catch (err) {
+                this.emit("error", null, err);
+                return;
+            }
 
             // Extract data we really care about
             let messageData = eventData.data;
 
             // If it's a listProperties message, update the available properties array
+            //  and subscribe to all of them
             if (messageData.action == "listProperties") {
-                self.availableProperties = messageData.properties;
+                this.availableProperties = messageData.properties || [];
+
+                socket.send(JSON.stringify({type: "request", data: {action: "subscribe", properties: this.availableProperties}}));
             }
 
             // If we get a response from the camera with property information, save it.
             if (eventData.type == "response") {
                 Object.assign(this.propertyData, messageData.values);
+
+                for (let path in messageData.values) {
+                    this.emit("change", path, messageData.values[path], path);
+                }
             }
 
             // If it's a propertyValueChanged event, update the camera object accordingly and show it on the web page.
             if (messageData.action == "propertyValueChanged") {
                 this.propertyData[messageData.property] = messageData.value;
+                this.emit("change", messageData.property, messageData.value, messageData.property);
+            }
+
+            // The subscribe response carries the current value of every property,
+            //  so now propertyData is in sync (also after a reconnect)
+            if (eventData.type == "response" && messageData.action == "subscribe") {
+                if (messageData.success === false) {
+                    this.emit("error", null, new Error("Couldn't subscribe to properties on "+this.hostname));
+                }
+
+                this.reconnectAttempts = 0;
+                this.lastLiveTime = Date.now();
+                this.setConnectionState("live");
+                this.resolveReady();
+
+                // Start the heartbeat the first time we're live, it keeps going from then on
+                if (!this.heartbeatTimer) this.scheduleHeartbeat();
             }
 
             if (this.active) {
@@ -90,31 +248,455 @@ class BMDevice {
         }
 
         // Wait for the WebSocket to open
-        this.ws.onopen = (event) => {
+        socket.onopen = (event) => {
             // Once the WebSocket is open,
 
-            // Ask it for all the properties
-            self.ws.send(JSON.stringify({type: "request", data: {action: "listProperties"}}));
+            // Ask it for all the properties, the rest of the handshake happens in onmessage
+            socket.send(JSON.stringify({type: "request", data: {action: "listProperties"}}));
+        }
 
-            sleep(100).then(() => {
-                // Subscribe to all available events
-                this.availableProperties.forEach((str) => {
-                    self.ws.send(JSON.stringify({type: "request", data: {action: "subscribe", properties: [str]}}));
-                });
-            });
+        // Errors are always followed by a close event, so reconnecting is handled there
+        socket.onerror = (event) => {
+            if (socket !== this.ws || !this.shouldReconnect) return;
+
+            this.emit("error", null, new Error("WebSocket error on "+this.hostname));
+        }
+
+        socket.onclose = (event) => {
+            // Ignore sockets we've already replaced or closed on purpose
+            if (socket !== this.ws || !this.shouldReconnect) return;
+
+            if (this.connectionState === "live") {
+                this.lastLiveTime = Date.now();
+                this.setConnectionState("stale");
+            }
+
+            this.scheduleReconnect();
+        }
+    }
+
+    // Waits a little (longer after every failed attempt), then tries to open the WebSocket again
+    scheduleReconnect() {
+        if (Date.now() - this.lastLiveTime > this.offlineTimeout) {
+            this.setConnectionState("offline");
+        }
+
+        let delay = Math.min(this.reconnectDelayMin * (2 ** this.reconnectAttempts), this.reconnectDelayMax);
+        this.reconnectAttempts++;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = setTimeout(() => {
+            if (this.shouldReconnect) this.connectWebSocket();
+        }, delay);
+    }
+
+    setConnectionState(state) {
+        if (this.connectionState === state) return;
+
+        let previousState = this.connectionState;
+
+        this.connectionState = state;
+        this.connectionStateChanged(state);
+
+        if (state === "live") {
+            this.emit("connected", null);
+        } else if (previousState === "live") {
+            this.emit("disconnected", null);
+        }
+    }
+
+    // Closes the WebSocket for good. The device won't try to reconnect after this.
+    disconnect() {
+        this.shouldReconnect = false;
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.heartbeatTimer);
+        Object.values(this.sendQueues).forEach((queue) => clearTimeout(queue.timer));
+        this.stopAllRamps();
+        this.ws?.close();
+        this.setConnectionState("offline");
+        this.rejectReady(new Error("Disconnected from "+this.hostname));
+    }
+
+    // ============= HEALTH ================
+
+    // Snapshot of how the connection is doing:
+    //  level:              "good", "slow" (high latency or a missed heartbeat), "bad" (WebSocket lost) or "unknown" (still connecting)
+    //  latency:            Round trip time of the last request (ms)
+    //  averageLatency:     Running average of the round trip times (ms)
+    //  lastMessageAge:     Time since the last WebSocket message (ms)
+    //  lastHeartbeatAge:   Time since the device last answered a heartbeat (ms)
+    //  missedHeartbeats:   Heartbeats in a row the device didn't answer
+    get health() {
+        let now = Date.now();
+        let level = "good";
+
+        if (this.connectionState === "connecting") {
+            level = "unknown";
+        } else if (this.connectionState !== "live") {
+            level = "bad";
+        } else if (this.missedHeartbeats > 0 || this.averageLatency > this.slowLatency) {
+            level = "slow";
+        }
+
+        return {
+            level: level,
+            latency: this.latency,
+            averageLatency: this.averageLatency,
+            lastMessageAge: this.lastMessageTime ? now - this.lastMessageTime : undefined,
+            lastHeartbeatAge: this.lastHeartbeatTime ? now - this.lastHeartbeatTime : undefined,
+            missedHeartbeats: this.missedHeartbeats
+        };
+    }
+
+    // Keeps track of request round trip times
+    recordLatency(ms) {
+        this.latency = ms;
+        this.averageLatency = (this.averageLatency === undefined) ? ms : Math.round(this.averageLatency * 0.8 + ms * 0.2);
+    }
+
+    scheduleHeartbeat() {
+        clearTimeout(this.heartbeatTimer);
+
+        if (this.heartbeatInterval > 0 && this.shouldReconnect) {
+            this.heartbeatTimer = setTimeout(() => this.heartbeat(), this.heartbeatInterval);
+        }
+    }
+
+    // Asks for /system to check the device is still there, then emits a "health" event
+    async heartbeat() {
+        let startTime = Date.now();
+
+        try {
+            // Errors here are expected when the device goes away, so this skips request()'s retries and error events
+            await sendRequest("GET", this.APIAddress+"/system", undefined, this.fetchImpl, this.heartbeatInterval);
+
+            this.recordLatency(Date.now() - startTime);
+            this.lastHeartbeatTime = Date.now();
+            this.missedHeartbeats = 0;
+        } catch (err) {
+            this.missedHeartbeats++;
+
+            if (this.missedHeartbeats >= this.maxMissedHeartbeats && this.connectionState === "live") {
+                this.dropWebSocket();
+            }
+        }
+
+        if (!this.shouldReconnect) return;
+
+        this.emit("health", null, this.health);
+        this.scheduleHeartbeat();
+    }
+
+    // Gives up on a WebSocket that's open but not getting anything through, and reconnects
+    dropWebSocket() {
+        let socket = this.ws;
+
+        // onclose ignores sockets that have been replaced
+        this.ws = null;
+        socket?.close();
+
+        this.lastLiveTime = Date.now();
+        this.setConnectionState("stale");
+        this.scheduleReconnect();
+    }
+
+    // ============= EVENTS ================
+
+    // Listen for events from the device:
+    //  on("change", handler)           handler(value, path) is called whenever any property changes
+    //  on("change", path, handler)     Same, but only for one endpoint, e.g. on("change", "/transports/0/record", ...)
+    //  on("connected", handler)        The WebSocket is connected and subscribed
+    //  on("disconnected", handler)     The WebSocket connection was lost
+    //  on("health", handler)           handler(health) is called after every heartbeat, see health
+    //  on("error", handler)            handler(error) is called for WebSocket and network errors
+    // Returns the device so calls can be chained.
+    on(eventName, path, handler) {
+        return this.addListener(eventName, path, handler, false);
+    }
+
+    // Same as on(), but the handler is removed after it has been called once
+    once(eventName, path, handler) {
+        return this.addListener(eventName, path, handler, true);
+    }
+
+    // Removes listeners added with on() or once()
+    //  off("change", path, handler)    Removes that handler for that endpoint
+    //  off("change", handler)          Removes that handler from the event
+    //  off("change")                   Removes every listener for the event
+    off(eventName, path, handler) {
+        if (typeof path === "function") {
+            handler = path;
+            path = undefined;
+        }
+
+        this.eventListeners = this.eventListeners.filter((listener) => {
+            return !(listener.eventName === eventName
+                && (path === undefined || listener.path === path)
+                && (handler === undefined || listener.handler === handler));
+        });
+
+        return this;
+    }
+
+    addListener(eventName, path, handler, once) {
+        // The path is optional
+        if (typeof path === "function") {
+            handler = path;
+            path = null;
         }
+
+        this.eventListeners.push({eventName: eventName, path: path, handler: handler, once: once});
+
+        return this;
+    }
+
+    // Calls every listener for eventName (and path, for "change" events) with the rest of the arguments
+    emit(eventName, path, ...args) {
+        let listeners = this.eventListeners.filter((listener) => {
+            return listener.eventName === eventName && (listener.path === null || listener.path === path);
+        });
+
+        // Don't let errors disappear if nobody is listening for them
+        if (eventName === "error" && listeners.length === 0) {
+            console.error(this.hostname+": ", ...args);
+        }
+
+        listeners.forEach((listener) => {
+            if (listener.once) this.off(eventName, listener.path, listener.handler);
+
+            try {
+                listener.handler(...args);
+            } catch (err) {
+                console.error("Error in "+eventName+" listener: ", err);
+            }
+        });
     }
 
-    // Returns a JSON Object of data we got from the device
+    // ============= REQUESTS ================
+
+    // Asks the device for data at an endpoint
+    // Returns a Promise that resolves to a result object: {ok, status, statusText, data}
+    //  or rejects with a BMApiError if the request failed
     GETdata(endpoint) {
-        // Just call sendRequest
-        return sendRequest("GET", this.APIAddress+endpoint);
+        return this.request("GET", endpoint);
     }
 
     // Send JSON Object data to the device
-    PUTdata(endpoint, data) {
-        // Just call sendRequest
-        return sendRequest("PUT", this.APIAddress+endpoint, data);
+    // The data is checked against BMEndpointSchema first: numbers are clamped to their range and step,
+    //  and malformed data (NaN, wrong types, unknown fields) rejects with a BMSchemaError without being sent.
+    // Returns a Promise that resolves to a result object: {ok, status, statusText, data}
+    //  or rejects with a BMApiError if the device refused it or couldn't be reached
+    // If the device has a changeHistory, the change is recorded there (and forgotten again if the request fails).
+    //  historyGroup is a group from changeHistory.createGroup (or group()) to record it in, or false to not record it at all.
+    async PUTdata(endpoint, data, historyGroup=null) {
+        data = validatePayload(endpoint, data, this.strictSchema);
+
+        let change = (historyGroup === false) ? null : this.changeHistory?.record(this, endpoint, data, historyGroup);
+
+        try {
+            return await this.request("PUT", endpoint, data);
+        } catch (err) {
+            if (change) this.changeHistory.discard(change);
+            throw err;
+        }
+    }
+
+    // PUTdata for values that change many times a second, like sliders.
+    // Only one request per endpoint is sent at a time (and no more than one every sendInterval ms).
+    //  Data queued while waiting is merged into a single request with the latest values,
+    //  so the device isn't flooded, values can't arrive out of order, and the last value always gets sent.
+    // Returns a Promise that resolves to the result of the request that carried the data
+    //  (every call merged into the same request gets the same Promise)
+    // historyGroup is the same as PUTdata's, the request is recorded with the one it was last queued with.
+    queuePUTdata(endpoint, data, historyGroup=null) {
+        let queue = this.sendQueues[endpoint] ??= {batch: null, busy: false, lastSent: 0, timer: null};
+
+        if (!queue.batch) {
+            let batch = {data: {}};
+            batch.promise = new Promise((resolve, reject) => {
+                batch.resolve = resolve;
+                batch.reject = reject;
+            });
+            queue.batch = batch;
+        }
+
+        Object.assign(queue.batch.data, data);
+        queue.batch.historyGroup = historyGroup;
+
+        let promise = queue.batch.promise;
+        this.flushSendQueue(endpoint);
+
+        return promise;
+    }
+
+    // Sends an endpoint's queued data, if nothing is in flight and sendInterval has passed
+    flushSendQueue(endpoint) {
+        let queue = this.sendQueues[endpoint];
+
+        if (!queue.batch || queue.busy || queue.timer) return;
+
+        let wait = queue.lastSent + this.sendInterval - Date.now();
+        if (wait > 0) {
+            queue.timer = setTimeout(() => {
+                queue.timer = null;
+                this.flushSendQueue(endpoint);
+            }, wait);
+            return;
+        }
+
+        let batch = queue.batch;
+        queue.batch = null;
+        queue.busy = true;
+        queue.lastSent = Date.now();
+
+        this.PUTdata(endpoint, batch.data, batch.historyGroup).then(batch.resolve, batch.reject).finally(() => {
+            queue.busy = false;
+            this.flushSendQueue(endpoint);
+        });
+    }
+
+    // Moves a number field smoothly from its current value (in propertyData) to target over duration ms,
+    //  following easing (a name from BMEasing or a function of progress 0-1). The steps go through queuePUTdata.
+    // Starting a ramp stops any other ramp on the same field.
+    // Returns a Promise that resolves to true once target is sent, or false if the ramp was stopped first.
+    //  It rejects if the device refuses one of the steps, which stops the ramp.
+    // The steps aren't recorded in the changeHistory: once the ramp is over it's recorded as one change from the start value
+    //  to the last value the device accepted. Pass a historyGroup to put several ramps in one entry, or false to not record it.
+    ramp(endpoint, field, target, duration, easing="linear", historyGroup=null) {
+        let ease = (typeof easing === "function") ? easing : BMEasing[easing];
+        let start = this.propertyData[endpoint]?.[field];
+
+        if (!ease) return Promise.reject(new RangeError("Unknown easing \""+easing+"\", use one of: "+Object.keys(BMEasing).join(", ")));
+        if (typeof start !== "number") return Promise.reject(new Error("Can't ramp "+endpoint+" ("+field+") on "+this.hostname+", its current value isn't known"));
+
+        this.stopRamp(endpoint, field);
+
+        let key = endpoint+" "+field;
+
+        // The last value the device accepted, that's where the history says the ramp ended
+        let accepted = start;
+        let lastSent = Promise.resolve();
+
+        let promise = new Promise((resolve, reject) => {
+            let ramp = {timer: null, resolve: resolve, reject: reject};
+            let startTime = Date.now();
+
+            let step = () => {
+                let progress = (duration > 0) ? Math.min((Date.now() - startTime) / duration, 1) : 1;
+                let value = start + (target - start) * ease(progress);
+
+                let sent = this.queuePUTdata(endpoint, {[field]: value}, false);
+                lastSent = sent.then(() => { accepted = value; }, () => {});
+
+                if (progress < 1) {
+                    sent.catch((error) => {
+                        if (this.ramps[key] !== ramp) return;
+
+                        clearTimeout(ramp.timer);
+                        delete this.ramps[key];
+                        reject(error);
+                    });
+
+                    ramp.timer = setTimeout(step, this.rampInterval);
+                } else {
+                    // Done once the last step has actually been sent
+                    delete this.ramps[key];
+                    sent.then(() => resolve(true), reject);
+                }
+            };
+
+            this.ramps[key] = ramp;
+            step();
+        });
+
+        // Once it's over (and the steps already queued have been answered), the whole ramp is recorded as one change
+        //  before the Promise we return settles, so it can be undone straight away
+        let history = (historyGroup === false) ? null : this.changeHistory;
+        let recorded = (result) => lastSent.then(() => {
+            if (history && accepted !== start) history.addChange(this, endpoint, {[field]: start}, {[field]: accepted}, historyGroup);
+            return result;
+        });
+
+        return promise.then(recorded, (error) => recorded().then(() => { throw error; }));
+    }
+
+    // Stops a ramp where it is, its Promise resolves to false
+    stopRamp(endpoint, field) {
+        let key = endpoint+" "+field;
+        let ramp = this.ramps[key];
+
+        if (!ramp) return;
+
+        clearTimeout(ramp.timer);
+        delete this.ramps[key];
+        ramp.resolve(false);
+    }
+
+    stopAllRamps() {
+        for (let key in this.ramps) {
+            let [endpoint, field] = key.split(" ");
+            this.stopRamp(endpoint, field);
+        }
+    }
+
+    isRamping(endpoint, field) {
+        return (endpoint+" "+field) in this.ramps;
+    }
+
+    // Send JSON Object data to the device with a POST request (used to add things, like clips to a timeline)
+    // Returns a Promise that resolves to a result object: {ok, status, statusText, data}
+    POSTdata(endpoint, data) {
+        return this.request("POST", endpoint, data);
+    }
+
+    // Ask the device to delete something, like the clips on a timeline
+    // Returns a Promise that resolves to a result object: {ok, status, statusText, data}
+    DELETEdata(endpoint) {
+        return this.request("DELETE", endpoint);
+    }
+
+    // Calls sendRequest, retrying if that's safe (see retries), and rejects with a BMApiError if it failed.
+    // Emits an "error" event if the device couldn't be reached.
+    async request(method, endpoint, data) {
+        let retries = this.canRetry(method, endpoint) ? this.retries : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            let error;
+
+            try {
+                let startTime = Date.now();
+                let result = await sendRequest(method, this.APIAddress+endpoint, data, this.fetchImpl, this.requestTimeout);
+
+                this.recordLatency(Date.now() - startTime);
+
+                if (result.ok) return result;
+
+                error = new BMApiError(method, endpoint, result);
+            } catch (err) {
+                // Swap the URL sendRequest knows about for the endpoint
+                error = (err instanceof BMApiError) ? new BMApiError(method, endpoint, err, err.cause) : err;
+            }
+
+            if (attempt < retries && error.retryable) {
+                await new Promise((resolve) => setTimeout(resolve, this.retryDelay * 2 ** attempt));
+                continue;
+            }
+
+            if (error.reason == "offline" || error.reason == "timeout") {
+                this.emit("error", null, error);
+            }
+
+            throw error;
+        }
+    }
+
+    // GETs are always safe to repeat, so are PUTs that set a value (but not PUTs that trigger something)
+    canRetry(method, endpoint) {
+        if (method == "GET") return true;
+        if (method !== "PUT") return false;
+
+        let fields = findEndpointSchema(endpoint)?.fields;
+        return !fields || Object.keys(fields).length > 0;
     }
     
     // ================= SETTERS =================
@@ -122,83 +704,177 @@ class BMDevice {
 
     // If the optional parameter is set to false, it will stop recording 
     record(state = true) {
-        this.PUTdata("/transports/0/record",{recording: state});
+        return this.PUTdata("/transports/0/record",{recording: state});
+    }
+
+    get isRecording() {
+        return this.propertyData['/transports/0/record']?.recording === true;
     }
 
     toggleRecord() {
         let recordState = this.propertyData['/transports/0/record'].recording;
 
-        this.PUTdata("/transports/0/record",{recording: !recordState});
+        return this.PUTdata("/transports/0/record",{recording: !recordState});
     }
 
     play() {
-        this.PUTdata("/transports/0/play");
+        return this.PUTdata("/transports/0/play");
     }
 
     stop() {
-        this.PUTdata("/transports/0/stop");
+        return this.PUTdata("/transports/0/stop");
     }
 
     // Boolean parameter, true = forward, false = backwards
-    seek(direction) {
-        let clips = this.GETdata("/timelines/0")?.clips;
-        let playbackData = this.GETdata("/transports/0/playback");
-
-        let runningSum = 0;
-        let currentClipFound = false;
-        let currentClipIndex = 0;
-        let clipStartingTimecodes = [];
-        let i = 0;
-
-        clips.forEach((clip) => {
-            if ((runningSum+clip.frameCount > playbackData.position) && !currentClipFound) {
-                currentClipIndex = i;
-                currentClipFound = true;
-            }
-            clipStartingTimecodes[i] = runningSum;
-            runningSum += clip.frameCount;
-            i++;
-        });
+    // Does nothing if the timeline is empty, rejects with a BMApiError if the device doesn't say where the clips or playhead are
+    async seek(direction) {
+        let [timelineResult, playbackResult] = await Promise.all([
+            this.GETdata("/timelines/0"),
+            this.GETdata("/transports/0/playback")
+        ]);
+
+        let clips = timelineResult.data?.clips;
+        let playbackData = playbackResult.data;
+
+        if (!Array.isArray(clips)) throw new BMApiError("GET", "/timelines/0", {reason: "error", status: timelineResult.status, statusText: timelineResult.statusText});
+        if (!playbackData) throw new BMApiError("GET", "/transports/0/playback", {reason: "error", status: playbackResult.status, statusText: playbackResult.statusText});
 
+        if (clips.length === 0) return;
+
+        let timeline = layoutTimeline(clips);
+        let currentClipIndex = clipIndexAtFrame(timeline, playbackData.position);
         let newClipIndex = Math.min(Math.max(0,(direction ? currentClipIndex+1 : currentClipIndex-1)), clips.length-1);
 
-        playbackData.position = clipStartingTimecodes[newClipIndex];
+        return this.seekToFrame(timeline[newClipIndex].startFrame);
+    }
+
+    // ================= TIMELINE =================
+
+    // The clips on the timeline (from propertyData), each with the frame it starts on added as startFrame
+    get timelineClips() {
+        return layoutTimeline(this.propertyData['/timelines/0']?.clips ?? []);
+    }
+
+    // Length of the whole timeline in frames
+    get timelineLength() {
+        return this.timelineClips.reduce((sum, clip) => sum + clip.frameCount, 0);
+    }
+
+    // Index of the clip the playhead is in
+    get currentClipIndex() {
+        return clipIndexAtFrame(this.timelineClips, this.propertyData['/transports/0/playback']?.position ?? 0);
+    }
+
+    // Frame count of the timeline's first frame, as a timecode
+    // The timeline doesn't have to start at 00:00:00:00, so this is worked out from the current timecode and playback position.
+    get timelineStartFrame() {
+        let position = this.propertyData['/transports/0/playback']?.position;
+
+        return (position !== undefined) ? Math.max(0, this.timecode.totalFrames - position) : 0;
+    }
+
+    // Moves the playhead to the start of a clip on the timeline (index starts at 0)
+    cueClip(clipIndex) {
+        let clip = this.timelineClips[clipIndex];
+
+        if (!clip) {
+            return Promise.reject(new RangeError("There's no clip "+clipIndex+" on the timeline of "+this.name));
+        }
+
+        return this.seekToFrame(clip.startFrame);
+    }
+
+    // ================= TIMECODE =================
+
+    // Frames per second of the current format (e.g. 23.98, 25, 29.97), 25 if the device hasn't said yet
+    get frameRate() {
+        return parseFloat(this.propertyData['/system/format']?.frameRate) || 25;
+    }
+
+    // The current timecode as a BMTimecode
+    get timecode() {
+        return BMTimecode.fromBCD(this.propertyData['/transports/0/timecode']?.timecode ?? 0, this.frameRate);
+    }
+
+    // Moves the playhead to a frame on the timeline (0 is the start of the first clip)
+    seekToFrame(position) {
+        return this.PUTdata("/transports/0/playback", {position: Math.max(0, Math.round(position))});
+    }
+
+    // Moves the playhead to a timecode, given as a BMTimecode or a string like "01:00:10:00"
+    seekToTimecode(timecode) {
+        if (!(timecode instanceof BMTimecode)) {
+            timecode = BMTimecode.parse(String(timecode), this.frameRate);
+        }
+
+        return this.seekToFrame(timecode.totalFrames - this.timelineStartFrame);
+    }
+
+    // Steps the playhead a number of frames forwards (or backwards if negative)
+    jog(frames) {
+        let position = this.propertyData['/transports/0/playback']?.position ?? 0;
+
+        if (this.jogTarget !== undefined && Date.now() - this.jogTime < 500) {
+            position = this.jogTarget;
+        }
+
+        this.jogTarget = Math.max(0, position + frames);
+        this.jogTime = Date.now();
 
-        this.PUTdata("/transports/0/playback", playbackData);
+        return this.queuePUTdata("/transports/0/playback", {position: this.jogTarget});
+    }
+
+    // Plays at a speed relative to normal: 1.0 is normal speed, 2.0 is double, -1.0 is backwards and 0 pauses
+    shuttle(speed) {
+        return this.PUTdata("/transports/0/playback", {type: "Var", speed: speed});
     }
 
     // Sets Timeline / Clip Looping 
     // Argument can be either "None", "Loop", or "Loop Clip"
     setLoopMode(modeString) {
-        let newStateObj = this.propertyData['/transports/0/playback'];
+        // Only the looping fields, the rest of the cached playback state (like position) may be stale
+        const modes = {
+            "None": {loop: false, singleClip: false},
+            "Loop": {loop: true, singleClip: false},
+            "Loop Clip": {loop: true, singleClip: true}
+        };
 
-        if (modeString === "None") {
-            newStateObj.loop = false;
-            newStateObj.singleClip = false;
-        } else if (modeString === "Loop") {
-            newStateObj.loop = true;
-            newStateObj.singleClip = false;
-        } else if (modeString === "Loop Clip") {
-            newStateObj.loop = true;
-            newStateObj.singleClip = true;
-        }
+        if (!modes[modeString]) return Promise.reject(new Error("Unknown loop mode: " + modeString));
 
-        this.PUTdata("/transports/0/playback", newStateObj);
+        return this.PUTdata("/transports/0/playback", modes[modeString]);
     }
 }
 
 // Child Class Specifically for Cameras
 class BMCamera extends BMDevice {
+    // Whether toggleRecord() moves the slate on to the next take when it stops recording
+    autoIncrementTake = true;
+
+    // Named focus positions for pullFocus, [{name, normalised}] in order of position
+    focusMarks = [];
+
     // Child class constructor
-    // Just passing the hostname and security to the superclass's constructor
-    constructor(hostname, secure=false) {
-        super(hostname, secure);
+    // Just passing the hostname, security and options to the superclass's constructor
+    constructor(hostname, secure=false, options={}) {
+        super(hostname, secure, options);
+    }
+
+    // Same as BMDevice.toggleRecord(), but stopping also moves the slate on to the next take
+    async toggleRecord() {
+        let wasRecording = this.isRecording;
+        let result = await super.toggleRecord();
+
+        if (wasRecording && this.autoIncrementTake && this.propertyData['/slates/nextClip']) {
+            await this.incrementTake();
+        }
+
+        return result;
     }
 
     // Sets the white balance and tint based on the following preset:
     // 0: Sunlight, 1: Tungsten, 2: Fluorescent, 3: Shade, 4: Cloudy
     // Any other value will not affect the WB setting
-    setWhiteBalancePreset(presetIndex) {
+    async setWhiteBalancePreset(presetIndex) {
         let newWhiteBalance;
         let newWhiteBalanceTint;
         
@@ -230,58 +906,1570 @@ class BMCamera extends BMDevice {
                 break;
             default:
                 // If any other value is set, don't change anything
-                newWhiteBalance = this.GETdata("/video/whiteBalance").whiteBalance;
-                newWhiteBalanceTint = this.GETdata("/video/whiteBalanceTint").whiteBalanceTint;
+                newWhiteBalance = (await this.GETdata("/video/whiteBalance")).data?.whiteBalance;
+                newWhiteBalanceTint = (await this.GETdata("/video/whiteBalanceTint")).data?.whiteBalanceTint;
         }
 
-        this.PUTdata("/video/whiteBalance",{whiteBalance: newWhiteBalance});
-        this.PUTdata("/video/whiteBalanceTint",{whiteBalanceTint: newWhiteBalanceTint});
+        return Promise.all([
+            this.PUTdata("/video/whiteBalance",{whiteBalance: newWhiteBalance}),
+            this.PUTdata("/video/whiteBalanceTint",{whiteBalanceTint: newWhiteBalanceTint})
+        ]);
     }
 
     doAutoFocus() {
-        this.PUTdata("/lens/focus/doAutoFocus");
+        return this.PUTdata("/lens/focus/doAutoFocus");
     }
 
     doAutoWhitebalance() {
-        this.PUTdata("/video/whiteBalance/doAuto");
+        return this.PUTdata("/video/whiteBalance/doAuto");
     }
-}
 
-/* Helper Functions */
+    // ================= FOCUS PULLS =================
 
-// Send request with other method type
-function sendRequest(method, url, data) {
-    // Instantiate the XMLHttpRequest object
-    let xhr = new XMLHttpRequest();
+    // Stores a focus position (the current one by default) as a mark, replacing any mark with the same name
+    setFocusMark(name, normalised=this.propertyData['/lens/focus']?.normalised) {
+        if (typeof normalised !== "number") {
+            throw new Error("Can't mark the focus of "+this.hostname+", its position isn't known");
+        }
+
+        this.focusMarks = this.focusMarks.filter((mark) => mark.name !== name)
+            .concat([{name: name, normalised: normalised}])
+            .sort((a, b) => a.normalised - b.normalised);
+    }
+
+    removeFocusMark(name) {
+        this.focusMarks = this.focusMarks.filter((mark) => mark.name !== name);
+    }
 
-    // Create an object to store and return the response
-    let responseObject = {};
+    // Pulls focus to a mark (by name) or a normalised position over duration ms, see BMDevice.ramp
+    // Resolves to true when it gets there, or false if it was stopped first
+    pullFocus(target, duration=2000, easing="easeInOut") {
+        let position = (typeof target === "string") ? this.focusMarks.find((mark) => mark.name === target)?.normalised : target;
 
-    // Define the onload function
-    xhr.onload = function() {
-        if (this.status < 300) {                            // If the operation is successful
-            if (this.responseText)
-                responseObject = JSON.parse(this.responseText);     // Give the data to the responseObject
-            responseObject.status = this.status;                // Also pass along the status code for error handling
-        } else {                                            // If there has been an error
-            responseObject = this;                              // Give the XMLHttpRequest data to the responseObject
-            console.error("Error ", this.status, ": ", this.statusText);    // Log the error in the console
+        if (position === undefined) {
+            return Promise.reject(new RangeError("There's no focus mark called \""+target+"\" on "+this.hostname));
         }
-    };
 
-    // Open the connection
-    // The "false" here specifies that we want to wait for the response to come back before returning from xhr.send()
-    xhr.open(method, url, false);
+        return this.ramp("/lens/focus", "normalised", position, duration, easing);
+    }
+
+    stopFocusPull() {
+        this.stopRamp("/lens/focus", "normalised");
+    }
 
-    // Send the request with data
-    xhr.send(JSON.stringify(data));
+    get isPullingFocus() {
+        return this.isRamping("/lens/focus", "normalised");
+    }
 
-    // Return response data
-    return responseObject;
-}
+    // ================= LENS RAMPS =================
+
+    // Ramps the iris or zoom to a normalised position over duration ms, see BMDevice.ramp
+    // Resolves to true when it gets there, or false if it was stopped first
+    rampIris(normalised, duration=2000, easing="easeInOut", historyGroup=null) {
+        return this.ramp("/lens/iris", "normalised", normalised, duration, easing, historyGroup);
+    }
+
+    rampZoom(normalised, duration=2000, easing="easeInOut", historyGroup=null) {
+        return this.ramp("/lens/zoom", "normalised", normalised, duration, easing, historyGroup);
+    }
+
+    // Stops iris and zoom ramps where they are (focus pulls keep going)
+    stopLensRamps() {
+        this.stopRamp("/lens/iris", "normalised");
+        this.stopRamp("/lens/zoom", "normalised");
+    }
+
+    get isRampingIris() {
+        return this.isRamping("/lens/iris", "normalised");
+    }
+
+    get isRampingZoom() {
+        return this.isRamping("/lens/zoom", "normalised");
+    }
+
+    // ================= MATCHING =================
+
+    // The changes that would make this camera match reference on endpoints, [{endpoint, before, after}]
+    //  with only the fields that differ. Endpoints either camera doesn't have a value for are left out.
+    matchDiff(reference, endpoints=BMMatchEndpoints) {
+        let diff = [];
+
+        for (let endpoint of endpoints) {
+            let current = this.propertyData[endpoint];
+            let target = reference.propertyData[endpoint];
+            if (!current || !target) continue;
+
+            // Only fields that can be set, not read-only ones the camera also reports
+            let schemaFields = BMEndpointSchema[endpoint]?.fields;
+            let before = {};
+            let after = {};
+
+            for (let field in target) {
+                if (schemaFields && !(field in schemaFields)) continue;
+
+                if (JSON.stringify(current[field]) !== JSON.stringify(target[field])) {
+                    before[field] = current[field];
+                    after[field] = target[field];
+                }
+            }
+
+            if (Object.keys(after).length > 0) diff.push({endpoint: endpoint, before: before, after: after});
+        }
+
+        return diff;
+    }
+
+    // Copies reference's values on endpoints to this camera, sending only what differs (see matchDiff)
+    // Resolves to a result for each endpoint that was sent, {endpoint, before, after, ok, error}.
+    //  It never rejects, the other endpoints are still sent if the camera refuses one.
+    async matchTo(reference, endpoints=BMMatchEndpoints) {
+        let diff = this.matchDiff(reference, endpoints);
+        let results = await Promise.allSettled(diff.map((change) => this.PUTdata(change.endpoint, change.after)));
+
+        return diff.map((change, i) => Object.assign({}, change, {ok: results[i].status === "fulfilled", error: results[i].reason}));
+    }
+
+    // ================= FORMAT =================
+
+    // Resolves to the formats the camera can record, an array of
+    //  {codecs, frameRates, recordResolution, sensorResolution, minOffSpeedFrameRate, maxOffSpeedFrameRate}
+    // Each entry is one record resolution, with the codecs and frame rates that go with it.
+    async getSupportedFormats() {
+        let response = await this.GETdata("/system/supportedFormats");
+        return response.data?.supportedFormats ?? [];
+    }
+
+    // Changes the recording format. format has any of the /system/format fields:
+    //  {codec, frameRate, recordResolution, sensorResolution, offSpeedEnabled, offSpeedFrameRate}
+    // Anything left out stays as it is. If the camera doesn't support the result, nothing is sent
+    //  and this rejects with a RangeError. Cameras stop recording to change format, check isRecording first.
+    // historyGroup is passed on to PUTdata.
+    async setFormat(format, historyGroup=null) {
+        let newFormat = Object.assign({}, this.propertyData['/system/format'], format);
+
+        // A new record resolution comes with its own sensor resolution
+        if (format.recordResolution && !format.sensorResolution) delete newFormat.sensorResolution;
+
+        let supported = findSupportedFormat(await this.getSupportedFormats(), newFormat);
+
+        if (!supported) {
+            throw new RangeError(this.hostname+" can't record "+describeFormat(newFormat));
+        }
+
+        return this.PUTdata("/system/format", Object.assign({}, format, {sensorResolution: supported.sensorResolution}), historyGroup);
+    }
+
+    // ================= SLATE =================
+    // The slate is the metadata the camera puts in the next clip it records:
+    //  /slates/nextClip has {clip: {reel, scene, take, shotType, goodTake, environment, dayNight},
+    //  lens: {lensType, iris, focalLength, distance, filter}} and /slates/project has {projectName, camera, director, cameraOperator}.
+
+    // Changes some of the next clip's slate, like {clip: {scene: "12A", take: 1}}
+    setNextClipSlate(slate) {
+        return this.PUTdata("/slates/nextClip", slate);
+    }
+
+    // Changes some of the project's slate, like {projectName: "Concert"}
+    setProjectSlate(project) {
+        return this.PUTdata("/slates/project", project);
+    }
+
+    incrementTake() {
+        let take = this.propertyData['/slates/nextClip']?.clip?.take ?? 0;
+
+        return this.setNextClipSlate({clip: {take: take + 1, goodTake: false}});
+    }
+
+    // ================= MONITORING =================
+
+    // Names of the camera's monitoring outputs, like ["LCD", "HDMI", "SDI"]
+    get monitoringDisplays() {
+        return this.propertyData['/monitoring/display']?.displays ?? [];
+    }
+
+    // Turns an overlay on or off on one display
+    // overlay is one of focusAssist, zebra, falseColor, frameGuide, safeArea, cleanFeed or displayLUT
+    setMonitoringOverlay(displayName, overlay, enabled) {
+        return this.PUTdata("/monitoring/"+displayName+"/"+overlay, {enabled: enabled});
+    }
+
+    // ================= AUDIO =================
+    // Audio channels are numbered from 0. Each one has its own input, level, phantom power and low cut filter,
+    //  which are in propertyData under /audio/channel/<index>/... on cameras that have them.
+
+    // Indexes of the audio channels the camera reports, in order
+    get audioChannels() {
+        let channels = new Set();
+
+        for (let path in this.propertyData) {
+            let match = path.match(/^\/audio\/channel\/(\d+)\//);
+            if (match) channels.add(parseInt(match[1]));
+        }
+
+        return [...channels].sort((a, b) => a - b);
+    }
+
+    // Everything known about one audio channel, anything the camera doesn't report is undefined
+    // description is {gain: {min, max}, capabilities: {phantomPower, lowCutFilter}} for the selected input
+    audioChannel(channelIndex) {
+        let path = "/audio/channel/"+channelIndex;
+
+        return {
+            input: this.propertyData[path+"/input"]?.input,
+            supportedInputs: this.propertyData[path+"/supportedInputs"]?.supportedInputs ?? [],
+            description: this.propertyData[path+"/input/description"],
+            gain: this.propertyData[path+"/level"]?.gain,
+            normalised: this.propertyData[path+"/level"]?.normalised,
+            phantomPower: this.propertyData[path+"/phantomPower"]?.phantomPower,
+            lowCutFilter: this.propertyData[path+"/lowCutFilter"]?.lowCutFilter
+        };
+    }
+
+    setAudioInput(channelIndex, input) {
+        return this.PUTdata("/audio/channel/"+channelIndex+"/input", {input: input});
+    }
+
+    // Sets the level in dB, clamped to what the channel's input can do
+    setAudioGain(channelIndex, gain) {
+        let range = this.audioChannel(channelIndex).description?.gain;
+
+        if (range) gain = Math.min(Math.max(gain, range.min), range.max);
+
+        return this.PUTdata("/audio/channel/"+channelIndex+"/level", {gain: gain});
+    }
+
+    setPhantomPower(channelIndex, enabled) {
+        return this.PUTdata("/audio/channel/"+channelIndex+"/phantomPower", {phantomPower: enabled});
+    }
+
+    setLowCutFilter(channelIndex, enabled) {
+        return this.PUTdata("/audio/channel/"+channelIndex+"/lowCutFilter", {lowCutFilter: enabled});
+    }
+}
+
+// Child Class Specifically for HyperDecks
+// Adds the deck side of the API: clips, timeline editing, playback speed, inputs and media.
+class BMHyperDeck extends BMDevice {
+    // Child class constructor
+    // Just passing the hostname, security and options to the superclass's constructor
+    constructor(hostname, secure=false, options={}) {
+        super(hostname, secure, options);
+    }
+
+    // ================= CLIPS & TIMELINE =================
+
+    // Resolves to the array of clips on the active media
+    // Each clip looks like {clipUniqueId, filePath, startTimecode, durationTimecode, frameCount, ...}
+    async getClips() {
+        let response = await this.GETdata("/clips");
+        return response.data?.clips ?? [];
+    }
+
+    // Resolves to the array of clips on the playback timeline
+    async getTimeline() {
+        let response = await this.GETdata("/timelines/0");
+        return response.data?.clips ?? [];
+    }
+
+    // Adds clips to the end of the playback timeline
+    // Takes a clipUniqueId or an array of them
+    addToTimeline(clipUniqueIds) {
+        if (!Array.isArray(clipUniqueIds)) clipUniqueIds = [clipUniqueIds];
+
+        return this.POSTdata("/timelines/0/add", {clips: clipUniqueIds});
+    }
+
+    // Removes every clip from the playback timeline
+    clearTimeline() {
+        return this.DELETEdata("/timelines/0");
+    }
+
+    // Removes one clip from the playback timeline (index starts at 0)
+    // The API can only add to the end of the timeline or clear it, so the timeline is cleared and built again without the clip.
+    async removeFromTimeline(clipIndex) {
+        let clips = await this.getTimeline();
+
+        if (!clips[clipIndex]) {
+            throw new RangeError("There's no clip "+clipIndex+" on the timeline of "+this.name);
+        }
+
+        let remaining = clips.filter((clip, i) => i !== clipIndex).map((clip) => clip.clipUniqueId);
+
+        await this.clearTimeline();
+
+        if (remaining.length > 0) {
+            return this.addToTimeline(remaining);
+        }
+    }
+
+    // Cues up a clip on the timeline by its index (starting at 0)
+    goToClip(clipIndex) {
+        return this.PUTdata("/transports/0/clipIndex", {clipIndex: clipIndex});
+    }
+
+    // ================= TRANSPORT =================
+
+    // Plays at a speed relative to normal, 1.0 is normal speed, -1.0 is normal speed backwards
+    // (Same as shuttle())
+    setPlaybackSpeed(speed) {
+        return this.shuttle(speed);
+    }
+
+    // "InputPreview" shows the input, "Output" shows the timeline
+    setTransportMode(mode) {
+        return this.PUTdata("/transports/0", {mode: mode});
+    }
+
+    // Picks which video input to record from (e.g. "SDI", "HDMI")
+    setInputSource(source) {
+        return this.PUTdata("/transports/0/inputVideoSource", {inputVideoSource: source});
+    }
+
+    // Records a new clip with a name of your choosing
+    recordClip(clipName) {
+        return this.PUTdata("/transports/0/record", {recording: true, clipName: clipName});
+    }
+
+    // ================= MEDIA =================
+
+    // Resolves to the working set: the media the deck can use, with their remaining space and record time
+    // Looks like {size, workingset: [{index, activeDisk, volume, deviceName, remainingRecordTime, totalSpace, remainingSpace, clipCount}]}
+    async getWorkingSet() {
+        let response = await this.GETdata("/media/workingset");
+        return response.data;
+    }
+
+    // Makes a working set slot the active media
+    setActiveMedia(workingsetIndex) {
+        return this.PUTdata("/media/active", {workingsetIndex: workingsetIndex});
+    }
+}
+
+/* Endpoint Schema */
+
+// Thrown by PUTdata when a payload doesn't match the endpoint's schema
+class BMSchemaError extends Error {
+    endpoint;
+    field;
+
+    constructor(endpoint, field, message) {
+        super(endpoint+(field ? " ("+field+")" : "")+": "+message);
+        this.name = "BMSchemaError";
+        this.endpoint = endpoint;
+        this.field = field;
+    }
+}
+
+// Field types used more than once
+const SCHEMA_NORMALISED = {type: "number", min: 0.0, max: 1.0};
+const SCHEMA_BOOLEAN = {type: "boolean"};
+const SCHEMA_RESOLUTION = {type: "object", fields: {
+    width: {type: "integer", min: 1},
+    height: {type: "integer", min: 1}
+}};
+
+// Lift, Gamma, Gain and Offset all have the same four fields, just with different ranges
+function colorCorrectionSchema(min, max) {
+    let field = {type: "number", min: min, max: max};
+    return {fields: {red: field, green: field, blue: field, luma: field}};
+}
+
+// Every audio channel has the same endpoints, this makes them for channels 0 to channelCount-1
+// The gain range depends on the channel's input, so it isn't clamped here (see BMCamera.setAudioGain)
+function audioChannelSchema(channelCount) {
+    let schema = {};
+
+    for (let i = 0; i < channelCount; i++) {
+        let path = "/audio/channel/"+i;
+
+        schema[path+"/input"] = {fields: {input: {type: "string"}}};
+        schema[path+"/level"] = {fields: {gain: {type: "number"}, normalised: SCHEMA_NORMALISED}};
+        schema[path+"/phantomPower"] = {fields: {phantomPower: SCHEMA_BOOLEAN}};
+        schema[path+"/lowCutFilter"] = {fields: {lowCutFilter: SCHEMA_BOOLEAN}};
+    }
+
+    return schema;
+}
+
+// Describes what data each known endpoint accepts.
+// Every field has a type:
+//  "number":   Clamped to [min, max] and rounded to a multiple of step (if given)
+//  "integer":  Same as number, but also rounded to a whole number
+//  "boolean", "string"
+//  "enum":     One of the strings in values
+//  "object":   An object whose own fields are checked against fields
+// Fields are all optional, so partial updates like {pivot: 0.5} are fine.
+// Endpoints with no fields are triggers that don't take any data.
+const BMEndpointSchema = {
+    // Lens
+    "/lens/iris": {fields: {
+        apertureStop: {type: "number", min: 0.0, max: 64.0},
+        normalised: SCHEMA_NORMALISED,
+        apertureNumber: {type: "integer", min: 0},
+        continuousApertureAutoExposure: SCHEMA_BOOLEAN
+    }},
+    "/lens/zoom": {fields: {
+        focalLength: {type: "integer", min: 0},
+        normalised: SCHEMA_NORMALISED
+    }},
+    "/lens/focus": {fields: {
+        normalised: SCHEMA_NORMALISED
+    }},
+    "/lens/focus/doAutoFocus": {fields: {}},
+
+    // Video
+    "/video/iso": {fields: {
+        iso: {type: "integer", min: 100, max: 25600}
+    }},
+    "/video/gain": {fields: {
+        gain: {type: "integer", min: -12, max: 36}
+    }},
+    "/video/whiteBalance": {fields: {
+        whiteBalance: {type: "integer", min: 2500, max: 10000}
+    }},
+    "/video/whiteBalance/doAuto": {fields: {}},
+    "/video/whiteBalanceTint": {fields: {
+        whiteBalanceTint: {type: "integer", min: -50, max: 50}
+    }},
+    "/video/ndFilter": {fields: {
+        stop: {type: "number", min: 0, max: 6, step: 2}
+    }},
+    "/video/shutter": {fields: {
+        shutterSpeed: {type: "integer", min: 24, max: 2000},
+        shutterAngle: {type: "integer", min: 100, max: 36000},        // Hundredths of a degree
+        continuousShutterAutoExposure: SCHEMA_BOOLEAN
+    }},
+    "/video/autoExposure": {fields: {
+        mode: {type: "enum", values: ["Off", "Continuous", "OneShot"]},
+        type: {type: "enum", values: ["", "Iris", "Shutter", "Shutter,Iris", "Iris,Shutter"]}
+    }},
+
+    // Color Correction
+    "/colorCorrection/lift": colorCorrectionSchema(-2.0, 2.0),
+    "/colorCorrection/gamma": colorCorrectionSchema(-4.0, 4.0),
+    "/colorCorrection/gain": colorCorrectionSchema(0.0, 16.0),
+    "/colorCorrection/offset": colorCorrectionSchema(-8.0, 8.0),
+    "/colorCorrection/contrast": {fields: {
+        pivot: {type: "number", min: 0.0, max: 1.0},
+        adjust: {type: "number", min: 0.0, max: 2.0}
+    }},
+    "/colorCorrection/color": {fields: {
+        hue: {type: "number", min: -1.0, max: 1.0},
+        saturation: {type: "number", min: 0.0, max: 2.0}
+    }},
+    "/colorCorrection/lumaContribution": {fields: {
+        lumaContribution: SCHEMA_NORMALISED
+    }},
+
+    // Audio (up to 4 channels)
+    ...audioChannelSchema(4),
+
+    // Format
+    "/system/format": {fields: {
+        codec: {type: "string"},
+        frameRate: {type: "string"},
+        recordResolution: SCHEMA_RESOLUTION,
+        sensorResolution: SCHEMA_RESOLUTION,
+        offSpeedEnabled: SCHEMA_BOOLEAN,
+        offSpeedFrameRate: {type: "integer", min: 0}
+    }},
+
+    // Monitoring, overlays are switched on and off for each display
+    "/monitoring/{displayName}/focusAssist": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/{displayName}/zebra": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/{displayName}/falseColor": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/{displayName}/frameGuide": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/{displayName}/safeArea": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/{displayName}/cleanFeed": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/{displayName}/displayLUT": {fields: {enabled: SCHEMA_BOOLEAN}},
+    "/monitoring/focusAssist": {fields: {
+        mode: {type: "enum", values: ["Peak", "ColoredLines"]},
+        color: {type: "enum", values: ["White", "Red", "Green", "Blue", "Black"]},
+        intensity: {type: "integer", min: 0, max: 100}
+    }},
+    "/monitoring/zebraLevel": {fields: {
+        zebraLevel: {type: "integer", min: 0, max: 100, step: 5}
+    }},
+    "/monitoring/frameGuideRatio": {fields: {
+        ratio: {type: "enum", values: ["2.40:1", "2.39:1", "2.35:1", "1.85:1", "16:9", "14:9", "4:3", "2:1", "4:5", "9:16", "1:1"]}
+    }},
+    "/monitoring/safeAreaPercent": {fields: {
+        safeAreaPercent: {type: "integer", min: 50, max: 100}
+    }},
+
+    // Slates
+    "/slates/nextClip": {fields: {
+        clip: {type: "object", fields: {
+            reel: {type: "integer", min: 1, max: 999},
+            scene: {type: "string"},
+            take: {type: "integer", min: 1, max: 99},
+            shotType: {type: "enum", values: ["", "WS", "MS", "MCU", "CU", "BCU", "ECU"]},
+            goodTake: SCHEMA_BOOLEAN,
+            environment: {type: "enum", values: ["", "Interior", "Exterior"]},
+            dayNight: {type: "enum", values: ["", "Day", "Night"]}
+        }},
+        lens: {type: "object", fields: {
+            lensType: {type: "string"},
+            iris: {type: "string"},
+            focalLength: {type: "string"},
+            distance: {type: "string"},
+            filter: {type: "string"}
+        }}
+    }},
+    "/slates/project": {fields: {
+        projectName: {type: "string"},
+        camera: {type: "string"},
+        director: {type: "string"},
+        cameraOperator: {type: "string"}
+    }},
+
+    // Transports
+    "/transports/0/record": {fields: {
+        recording: SCHEMA_BOOLEAN,
+        clipName: {type: "string"}
+    }},
+    "/transports/0/play": {fields: {}},
+    "/transports/0/stop": {fields: {}},
+    "/transports/0/playback": {fields: {
+        type: {type: "enum", values: ["Play", "Jog", "Shuttle", "Var"]},
+        loop: SCHEMA_BOOLEAN,
+        singleClip: SCHEMA_BOOLEAN,
+        speed: {type: "number"},
+        position: {type: "integer", min: 0}
+    }},
+
+    // HyperDeck Transports and Media
+    "/transports/0": {fields: {
+        mode: {type: "enum", values: ["InputPreview", "InputRecord", "Output"]}
+    }},
+    "/transports/0/clipIndex": {fields: {
+        clipIndex: {type: "integer", min: 0}
+    }},
+    "/transports/0/inputVideoSource": {fields: {
+        inputVideoSource: {type: "string"}
+    }},
+    "/media/active": {fields: {
+        workingsetIndex: {type: "integer", min: 0},
+        deviceName: {type: "string"}
+    }},
+
+    // Presets
+    "/presets/active": {fields: {
+        preset: {type: "string"}
+    }}
+};
+
+// Looks up an endpoint's schema. Endpoints there's one of for every monitoring display (like /monitoring/LCD/zebra)
+//  are in BMEndpointSchema with {displayName} in place of the display's name.
+function findEndpointSchema(endpoint) {
+    return BMEndpointSchema[endpoint] ?? BMEndpointSchema[endpoint.replace(/^\/monitoring\/[^/]+\/([^/]+)$/, "/monitoring/{displayName}/$1")];
+}
+
+// Checks data against the schema for endpoint, returns a copy with numbers clamped and rounded
+// Throws a BMSchemaError if the data is malformed.
+// Endpoints not in the schema are passed through unchanged, unless strict is true.
+function validatePayload(endpoint, data, strict=false) {
+    let schema = findEndpointSchema(endpoint);
+
+    if (!schema) {
+        if (strict) throw new BMSchemaError(endpoint, null, "unknown endpoint");
+        return data;
+    }
+
+    let fieldNames = Object.keys(schema.fields);
+
+    // Trigger endpoints don't take any data
+    if (fieldNames.length == 0) {
+        if (data !== undefined && data !== null && Object.keys(data).length > 0) {
+            throw new BMSchemaError(endpoint, null, "doesn't take any data");
+        }
+        return undefined;
+    }
+
+    if (typeof data !== "object" || data === null || Array.isArray(data)) {
+        throw new BMSchemaError(endpoint, null, "expected an object with any of: "+fieldNames.join(", "));
+    }
+
+    if (Object.keys(data).length == 0) {
+        throw new BMSchemaError(endpoint, null, "empty payload, expected any of: "+fieldNames.join(", "));
+    }
+
+    let validData = {};
+
+    for (let field in data) {
+        let fieldSchema = schema.fields[field];
+
+        if (!fieldSchema) {
+            throw new BMSchemaError(endpoint, field, "unknown field, expected any of: "+fieldNames.join(", "));
+        }
+
+        validData[field] = validateField(endpoint, field, fieldSchema, data[field]);
+    }
+
+    return validData;
+}
+
+// Checks a single value against its field schema, returns the (clamped) value
+function validateField(endpoint, field, fieldSchema, value) {
+    switch (fieldSchema.type) {
+        case "number":
+        case "integer":
+            if (typeof value !== "number" || !Number.isFinite(value)) {
+                throw new BMSchemaError(endpoint, field, "expected a number, got "+(typeof value === "number" ? value : JSON.stringify(value)));
+            }
+
+            if (fieldSchema.step) {
+                let base = fieldSchema.min ?? 0;
+                value = base + Math.round((value - base) / fieldSchema.step) * fieldSchema.step;
+            }
+
+            if (fieldSchema.type == "integer") value = Math.round(value);
+
+            if (fieldSchema.min !== undefined) value = Math.max(value, fieldSchema.min);
+            if (fieldSchema.max !== undefined) value = Math.min(value, fieldSchema.max);
+
+            // Get rid of floating point leftovers like 0.30000000000000004
+            return parseFloat(value.toFixed(10));
+
+        case "boolean":
+            if (typeof value !== "boolean") {
+                throw new BMSchemaError(endpoint, field, "expected true or false, got "+JSON.stringify(value));
+            }
+            return value;
+
+        case "string":
+            if (typeof value !== "string") {
+                throw new BMSchemaError(endpoint, field, "expected a string, got "+JSON.stringify(value));
+            }
+            return value;
+
+        case "enum":
+            if (!fieldSchema.values.includes(value)) {
+                throw new BMSchemaError(endpoint, field, "expected one of "+JSON.stringify(fieldSchema.values)+", got "+JSON.stringify(value));
+            }
+            return value;
+
+        case "object": {
+            if (typeof value !== "object" || value === null || Array.isArray(value)) {
+                throw new BMSchemaError(endpoint, field, "expected an object, got "+JSON.stringify(value));
+            }
+
+            let validValue = {};
+
+            for (let subField in value) {
+                if (!fieldSchema.fields[subField]) {
+                    throw new BMSchemaError(endpoint, field+"."+subField, "unknown field, expected any of: "+Object.keys(fieldSchema.fields).join(", "));
+                }
+
+                validValue[subField] = validateField(endpoint, field+"."+subField, fieldSchema.fields[subField], value[subField]);
+            }
+
+            return validValue;
+        }
+    }
+
+    return value;
+}
+
+/* Timecode */
+
+// SMPTE timecode, counted in frames at a frame rate
+// Drop frame timecode (at 29.97 and 59.94 fps) skips the first 2 (or 4) frame numbers of every minute
+//  except every tenth one, so the timecode keeps up with the clock. totalFrames is always the real frame count.
+class BMTimecode {
+    totalFrames;
+    frameRate;
+    dropFrame;
+
+    constructor(totalFrames, frameRate=25, dropFrame=false) {
+        this.totalFrames = Math.max(0, Math.round(totalFrames));
+        this.frameRate = frameRate;
+
+        // Drop frame only exists for 29.97 and 59.94
+        this.dropFrame = dropFrame && [30, 60].includes(this.timebase) && !Number.isInteger(frameRate);
+    }
+
+    // Frame numbers per timecode second (30 for 29.97)
+    get timebase() {
+        return Math.round(this.frameRate);
+    }
+
+    // Frame numbers skipped at the start of a minute in drop frame
+    get droppedFrames() {
+        return this.dropFrame ? this.timebase / 15 : 0;
+    }
+
+    // Makes a timecode from the BCD number the device reports in /transports/0/timecode
+    // The top bit is set if it's drop frame timecode.
+    static fromBCD(bcd, frameRate=25) {
+        let dropFrame = (bcd >>> 31) === 1;
+        let digits = (bcd & 0x7FFFFFFF).toString(16).padStart(8, "0");
+        let [hours, minutes, seconds, frames] = digits.match(/.{2}/g).map((pair) => parseInt(pair, 10));
+
+        return BMTimecode.fromComponents(hours, minutes, seconds, frames, frameRate, dropFrame);
+    }
+
+    // Reads "HH:MM:SS:FF" (or "HH:MM:SS;FF" for drop frame). Leading fields can be left out, so "10:00" is 10 seconds.
+    // Throws a RangeError if it isn't a timecode.
+    static parse(string, frameRate=25) {
+        let match = string.trim().match(/^(?:(?:(\d{1,2})[:.])?(\d{1,2})[:.])?(\d{1,2})([:;.])(\d{1,2})$/);
+
+        if (!match) {
+            throw new RangeError("\""+string+"\" isn't a timecode (HH:MM:SS:FF)");
+        }
+
+        let [, hours, minutes, seconds, separator, frames] = match;
+        let timecode = BMTimecode.fromComponents(parseInt(hours ?? 0), parseInt(minutes ?? 0), parseInt(seconds), parseInt(frames), frameRate, separator == ";");
+
+        if (parseInt(frames) >= timecode.timebase || parseInt(seconds) >= 60 || parseInt(minutes ?? 0) >= 60) {
+            throw new RangeError("\""+string+"\" isn't a valid timecode at "+frameRate+" fps");
+        }
+
+        return timecode;
+    }
+
+    static fromComponents(hours, minutes, seconds, frames, frameRate=25, dropFrame=false) {
+        let timecode = new BMTimecode(0, frameRate, dropFrame);
+        let totalMinutes = hours * 60 + minutes;
+
+        timecode.totalFrames = (totalMinutes * 60 + seconds) * timecode.timebase + frames
+            - timecode.droppedFrames * (totalMinutes - Math.floor(totalMinutes / 10));
+
+        return timecode;
+    }
+
+    // {hours, minutes, seconds, frames} as they're shown (hours wrap around at 24)
+    get components() {
+        let frameNumber = this.totalFrames;
+
+        // Put the skipped frame numbers back in
+        if (this.dropFrame) {
+            let framesPerMinute = this.timebase * 60 - this.droppedFrames;
+            let framesPer10Minutes = framesPerMinute * 10 + this.droppedFrames;
+            let tens = Math.floor(frameNumber / framesPer10Minutes);
+            let remainder = frameNumber % framesPer10Minutes;
+
+            frameNumber += this.droppedFrames * 9 * tens;
+            if (remainder > this.droppedFrames) {
+                frameNumber += this.droppedFrames * Math.floor((remainder - this.droppedFrames) / framesPerMinute);
+            }
+        }
+
+        let totalSeconds = Math.floor(frameNumber / this.timebase);
+
+        return {
+            hours: Math.floor(totalSeconds / 3600) % 24,
+            minutes: Math.floor(totalSeconds / 60) % 60,
+            seconds: totalSeconds % 60,
+            frames: frameNumber % this.timebase
+        };
+    }
+
+    toString() {
+        let {hours, minutes, seconds, frames} = this.components;
+        let pad = (n) => String(n).padStart(2, "0");
+
+        return pad(hours)+":"+pad(minutes)+":"+pad(seconds)+(this.dropFrame ? ";" : ":")+pad(frames);
+    }
+
+    // The BCD number the device uses
+    toBCD() {
+        let {hours, minutes, seconds, frames} = this.components;
+        let bcd = parseInt([hours, minutes, seconds, frames].map((n) => String(n).padStart(2, "0")).join(""), 16);
+
+        return (this.dropFrame ? (bcd | 0x80000000) >>> 0 : bcd);
+    }
+
+    // A new timecode some frames later (or earlier if negative)
+    plus(frames) {
+        return new BMTimecode(this.totalFrames + frames, this.frameRate, this.dropFrame);
+    }
+}
+
+/* Change History */
+
+// Undo/redo history of the values sent with PUTdata
+// Give devices a history with device.changeHistory = history, then every PUTdata to them is recorded
+//  with the value it had before (from propertyData) and the value that was sent.
+// Each entry looks like {label, time, changes: [{device, endpoint, before, after}]}
+//  label is null for single changes and set for grouped ones (see beginGroup and group).
+class BMChangeHistory {
+    undoStack = [];
+    redoStack = [];
+
+    // Oldest entries are forgotten after this many
+    maxEntries = 100;
+
+    // Changes to the same endpoint on the same device within this many ms are merged into one entry,
+    //  so dragging a slider is a single step to undo (ms)
+    mergeWindow = 1000;
+
+    // Endpoints that start with any of these aren't recorded, undoing them makes no sense (or is dangerous, like recording)
+    ignoredPrefixes = ["/transports", "/timelines", "/media", "/presets"];
+
+    // The group being recorded by beginGroup, and how many beginGroups deep we are
+    openGroup = null;
+    groupDepth = 0;
+
+    // Groups that are still being recorded into (see holdGroup), and how many times each one is held
+    heldGroups = new Map();
+
+    // True while undo/redo are sending
+    applying = false;
+
+    // Called whenever the history changes
+    // Set this to point to your UI updater.
+    historyChanged() {}
+
+    // Records a change that's about to be sent, called by PUTdata
+    // group is the group to record it in (see createGroup), by default the one from beginGroup if there is one.
+    // Returns the change, or null if nothing was recorded (or it was merged into the last one)
+    record(device, endpoint, data, group=null) {
+        if (!data || typeof data !== "object") return null;
+        if (this.ignoredPrefixes.some((prefix) => endpoint.startsWith(prefix))) return null;
+
+        group = group ?? this.openGroup;
+
+        // Remember the old value of each field we're changing, fields we don't know can't be undone
+        let current = device.propertyData[endpoint] ?? {};
+        let before = {};
+        let after = {};
+
+        for (let field in data) {
+            if (current[field] !== undefined) {
+                before[field] = structuredClone(current[field]);
+                after[field] = structuredClone(data[field]);
+            }
+        }
+
+        return this.addChange(device, endpoint, before, after, group);
+    }
+
+    // Records a change whose before value is already known, like a ramp's once it's finished (see record)
+    addChange(device, endpoint, before, after, group=null) {
+        if (Object.keys(after).length == 0) return null;
+
+        group = group ?? this.openGroup;
+
+        // Nothing is merged into the last entry while it's being undone or redone
+        let now = Date.now();
+        let entry = group ?? this.undoStack[this.undoStack.length - 1];
+        let mergeable = entry && (group || (!this.applying && entry.label === null && !this.heldGroups.has(entry) && now - entry.time < this.mergeWindow && this.redoStack.length == 0));
+        let previous = mergeable && entry.changes.find((change) => change.device === device && change.endpoint === endpoint);
+
+        if (previous) {
+            // Keep the oldest before value and the newest after value
+            // Objects (like the slate's clip fields) are merged, so earlier fields aren't lost
+            previous.before = Object.assign({}, before, previous.before);
+
+            let isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+            for (let field in after) {
+                previous.after[field] = (isObject(previous.after[field]) && isObject(after[field])) ? Object.assign({}, previous.after[field], after[field]) : after[field];
+            }
+            entry.time = now;
+            this.historyChanged();
+            return null;
+        }
+
+        let change = {device: device, endpoint: endpoint, before: before, after: after};
+
+        if (group) {
+            group.changes.push(change);
+            group.time = now;
+            if (!this.undoStack.includes(group)) this.pushEntry(group);
+        } else if (mergeable && entry.changes.every((other) => other.endpoint === endpoint)) {
+            // The same endpoint on another device (like a slider on ganged cameras, see BMDeviceGroup) joins the entry too
+            entry.changes.push(change);
+            entry.time = now;
+        } else {
+            this.pushEntry({label: null, time: now, changes: [change]});
+        }
+
+        this.historyChanged();
+        return change;
+    }
+
+    // Forgets a change that turned out not to be sent, called by PUTdata
+    discard(change) {
+        for (let stack of [this.undoStack, this.redoStack]) {
+            let entry = stack.find((entry) => entry.changes.includes(change));
+            if (!entry) continue;
+
+            // An empty group goes back on the stack if anything else is recorded in it
+            entry.changes.splice(entry.changes.indexOf(change), 1);
+            if (entry.changes.length == 0) stack.splice(stack.indexOf(entry), 1);
+
+            this.historyChanged();
+            return;
+        }
+    }
+
+    pushEntry(entry) {
+        this.undoStack.push(entry);
+        this.redoStack = [];
+
+        if (this.undoStack.length > this.maxEntries) this.undoStack.shift();
+    }
+
+    // A new group to record changes in: pass it to PUTdata, queuePUTdata or ramp and they all become one entry,
+    //  undone and redone in one go. It only goes in the history once something is recorded in it.
+    createGroup(label) {
+        return {label: label, time: Date.now(), changes: []};
+    }
+
+    // Marks a group as still being recorded into, undo and redo wait until it's released
+    // Holds are counted, so nested group() calls can share one.
+    holdGroup(group) {
+        this.heldGroups.set(group, (this.heldGroups.get(group) ?? 0) + 1);
+        this.historyChanged();
+    }
+
+    releaseGroup(group) {
+        let holds = this.heldGroups.get(group);
+        if (!holds) return;
+
+        if (holds > 1) {
+            this.heldGroups.set(group, holds - 1);
+        } else {
+            this.heldGroups.delete(group);
+        }
+        this.historyChanged();
+    }
+
+    // Every change recorded between beginGroup(label) and endGroup() becomes one entry.
+    //  Groups can be nested, the outermost one wins.
+    // Only for changes sent straight away (PUTdata records synchronously), anything sent after an await
+    //  has to be given its group instead (see group), or it would take other changes with it.
+    beginGroup(label) {
+        if (this.groupDepth++ == 0) {
+            this.openGroup = this.createGroup(label);
+        }
+    }
+
+    endGroup() {
+        if (this.groupDepth == 0) return;
+
+        if (--this.groupDepth == 0) this.openGroup = null;
+    }
+
+    // Runs fn(group) (which can be async) with a new group, and returns what it returns
+    // Changes fn sends before it first awaits are recorded in the group on their own,
+    //  after that fn has to pass the group on (like PUTdata(endpoint, data, group)), so nothing else
+    //  sent meanwhile ends up in it. Undo and redo wait until fn is done.
+    async group(label, fn) {
+        let group = this.openGroup ?? this.createGroup(label);
+
+        this.holdGroup(group);
+
+        try {
+            let result;
+
+            this.groupDepth++;
+            this.openGroup = group;
+
+            try {
+                result = fn(group);
+            } finally {
+                if (--this.groupDepth == 0) this.openGroup = null;
+            }
+
+            return await result;
+        } finally {
+            this.releaseGroup(group);
+        }
+    }
+
+    // The entry undo and redo are waiting for, or null if they don't have to wait
+    get busyEntry() {
+        return this.openGroup ?? this.heldGroups.keys().next().value ?? null;
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0 && !this.applying && !this.busyEntry;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0 && !this.applying && !this.busyEntry;
+    }
+
+    // Sends the values from before the last entry
+    // Returns a Promise that resolves once every device has accepted them
+    async undo() {
+        // Backwards, so a change that's in an entry twice ends up at the oldest value
+        await this.apply(this.undoStack, this.redoStack, "before");
+    }
+
+    // Sends the values of the last undone entry again
+    async redo() {
+        await this.apply(this.redoStack, this.undoStack, "after");
+    }
+
+    // Sends the before or after values of the last entry on one stack, then moves it to the other.
+    // Changes a device refuses stay where they were, so they can be tried again, and it rejects with their errors.
+    //  It also rejects without sending anything while a group is being recorded or another undo or redo is running.
+    async apply(from, to, which) {
+        let entry = from[from.length - 1];
+        if (!entry) return;
+
+        if (this.applying) throw new Error("Still sending the last undo or redo");
+        if (this.busyEntry) throw new Error("Can't undo or redo until "+(this.busyEntry.label ?? "the change in progress")+" is done");
+
+        let changes = (which === "before") ? entry.changes.slice().reverse() : entry.changes;
+        let results;
+
+        this.applying = true;
+        this.historyChanged();
+
+        // Through the send queue, so anything still queued for the endpoint (like a ramp's last step) can't arrive after it
+        try {
+            results = await Promise.allSettled(changes.map((change) => change.device.queuePUTdata(change.endpoint, change[which], false)));
+        } finally {
+            this.applying = false;
+        }
+
+        let failed = changes.filter((change, i) => results[i].status === "rejected");
+        let sent = entry.changes.filter((change) => !failed.includes(change));
+
+        // A change recorded meanwhile may have cleared the redo stack, then there's nothing to move
+        if (from.includes(entry)) {
+            if (failed.length == 0) {
+                from.splice(from.indexOf(entry), 1);
+                to.push(entry);
+            } else if (sent.length > 0) {
+                entry.changes = entry.changes.filter((change) => failed.includes(change));
+                to.push(Object.assign({}, entry, {changes: sent}));
+            }
+        }
+
+        this.historyChanged();
+
+        if (failed.length > 0) {
+            let errors = results.filter((result) => result.status === "rejected").map((result) => result.reason.message);
+            throw new Error("Couldn't "+(which === "before" ? "undo" : "redo")+" "+failed.length+" of "+changes.length+" changes: "+errors.join(", "));
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historyChanged();
+    }
+}
+
+/* Presets */
+
+// Version of the preset files made by capturePreset, parsePreset migrates older ones up to it
+const BM_PRESET_VERSION = 2;
+
+// Every setting a preset can hold, in the order they're applied (auto exposure first, so it doesn't undo the rest)
+// Presets are keyed by endpoint, and only keep the fields listed here (not read-only ones like apertureNumber).
+//  group is the name the UI switches settings on and off by (see capturePreset and applyPreset).
+const BMPresetSettings = [
+    {group: "autoExposure", endpoint: "/video/autoExposure", fields: ["mode", "type"]},
+    {group: "focus", endpoint: "/lens/focus", fields: ["normalised"]},
+    {group: "iris", endpoint: "/lens/iris", fields: ["apertureStop"]},
+    {group: "gain", endpoint: "/video/gain", fields: ["gain"]},
+    {group: "gain", endpoint: "/video/iso", fields: ["iso"]},
+    {group: "shutter", endpoint: "/video/shutter", fields: ["shutterSpeed", "shutterAngle"]},
+    {group: "whiteBalance", endpoint: "/video/whiteBalance", fields: ["whiteBalance"]},
+    {group: "whiteBalance", endpoint: "/video/whiteBalanceTint", fields: ["whiteBalanceTint"]},
+    {group: "ndFilter", endpoint: "/video/ndFilter", fields: ["stop"]},
+    {group: "lift", endpoint: "/colorCorrection/lift", fields: ["red", "green", "blue", "luma"]},
+    {group: "gamma", endpoint: "/colorCorrection/gamma", fields: ["red", "green", "blue", "luma"]},
+    {group: "colorGain", endpoint: "/colorCorrection/gain", fields: ["red", "green", "blue", "luma"]},
+    {group: "offset", endpoint: "/colorCorrection/offset", fields: ["red", "green", "blue", "luma"]},
+    {group: "contrast", endpoint: "/colorCorrection/contrast", fields: ["pivot", "adjust"]},
+    {group: "color", endpoint: "/colorCorrection/color", fields: ["hue", "saturation"]},
+    {group: "color", endpoint: "/colorCorrection/lumaContribution", fields: ["lumaContribution"]}
+];
+
+// Where the settings of version 1 presets (from before presets had a version) go.
+// Those were either {name, timestamp, settings: {...}} from Save or the settings on their own,
+//  with the white balance as {value, tint} or {whiteBalance}, and the luma contribution in with color or on its own.
+const LEGACY_PRESET_ENDPOINTS = {
+    "focus": "/lens/focus",
+    "iris": "/lens/iris",
+    "gain": "/video/gain",
+    "shutter": "/video/shutter",
+    "whiteBalance": "/video/whiteBalance",
+    "whiteBalanceTint": "/video/whiteBalanceTint",
+    "ndFilter": "/video/ndFilter",
+    "colorCorrection.lift": "/colorCorrection/lift",
+    "colorCorrection.gamma": "/colorCorrection/gamma",
+    "colorCorrection.gain": "/colorCorrection/gain",
+    "colorCorrection.offset": "/colorCorrection/offset",
+    "contrast": "/colorCorrection/contrast",
+    "color": "/colorCorrection/color",
+    "lumaContribution": "/colorCorrection/lumaContribution",
+    "autoExposure": "/video/autoExposure"
+};
+
+// Keeps the fields of data that BMPresetSettings lists for endpoint, undefined if there are none
+function presetFields(endpoint, data) {
+    let setting = BMPresetSettings.find((setting) => setting.endpoint === endpoint);
+    if (!setting || typeof data !== "object" || data === null) return undefined;
+
+    let fields = {};
+    setting.fields.forEach((field) => {
+        if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    return Object.keys(fields).length > 0 ? fields : undefined;
+}
+
+// Makes a preset out of the settings a device has in propertyData, only the groups given (all of them by default)
+// Returns {version, name, timestamp, settings: {endpoint: data}}, ready for JSON.stringify
+function capturePreset(device, name, groups=null) {
+    let settings = {};
+
+    BMPresetSettings.forEach((setting) => {
+        if (groups && !groups.includes(setting.group)) return;
+
+        let data = presetFields(setting.endpoint, device.propertyData[setting.endpoint]);
+        if (data) settings[setting.endpoint] = data;
+    });
+
+    return {
+        version: BM_PRESET_VERSION,
+        name: name,
+        timestamp: new Date().toISOString(),
+        settings: settings
+    };
+}
+
+// Checks a preset read from a file (already JSON.parsed) and returns it as a current version preset
+// Older presets are migrated. Fields that aren't part of a preset are dropped and numbers are clamped (see BMEndpointSchema).
+// Throws an Error if it isn't a preset, a RangeError if it's from a newer version,
+//  or a BMSchemaError if one of its values is malformed.
+function parsePreset(preset) {
+    if (typeof preset !== "object" || preset === null || Array.isArray(preset)) {
+        throw new Error("Not a preset file");
+    }
+
+    let version = preset.version ?? 1;
+
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error("Not a preset file, its version is "+JSON.stringify(preset.version));
+    }
+
+    if (version > BM_PRESET_VERSION) {
+        throw new RangeError("This preset is from a newer version (version "+version+"), update the WebUI to load it");
+    }
+
+    if (version == 1) preset = migrateLegacyPreset(preset);
+
+    if (typeof preset.settings !== "object" || preset.settings === null) {
+        throw new Error("Not a preset file, it has no settings");
+    }
+
+    let settings = {};
+
+    for (let endpoint in preset.settings) {
+        let data = presetFields(endpoint, preset.settings[endpoint]);
+        if (data) settings[endpoint] = validatePayload(endpoint, data, true);
+    }
+
+    if (Object.keys(settings).length == 0) {
+        throw new Error("This preset doesn't have any settings");
+    }
+
+    return {
+        version: BM_PRESET_VERSION,
+        name: preset.name ?? "",
+        timestamp: preset.timestamp,
+        settings: settings
+    };
+}
+
+// Turns a version 1 preset into a version 2 one (see LEGACY_PRESET_ENDPOINTS)
+function migrateLegacyPreset(preset) {
+    let legacy = (typeof preset.settings === "object" && preset.settings !== null) ? preset.settings : preset;
+    let settings = {};
+
+    for (let key in LEGACY_PRESET_ENDPOINTS) {
+        let data = key.split(".").reduce((object, part) => object?.[part], legacy);
+        if (typeof data === "object" && data !== null) settings[LEGACY_PRESET_ENDPOINTS[key]] = data;
+    }
+
+    // Saved presets had the white balance as {value, tint}
+    if (legacy.whiteBalance?.value !== undefined) {
+        settings["/video/whiteBalance"] = {whiteBalance: legacy.whiteBalance.value};
+    }
+    if (legacy.whiteBalance?.tint !== undefined) {
+        settings["/video/whiteBalanceTint"] = {whiteBalanceTint: legacy.whiteBalance.tint};
+    }
+
+    // ...and the luma contribution in with color
+    if (legacy.color?.lumaContribution !== undefined) {
+        settings["/colorCorrection/lumaContribution"] = {lumaContribution: legacy.color.lumaContribution};
+    }
+
+    return {version: 2, name: preset.name, timestamp: preset.timestamp, settings: settings};
+}
+
+// Sends a preset's settings to a device one at a time, in BMPresetSettings order, only the groups given (all of them by default)
+// Presets can come from another model, so settings the device doesn't have are skipped instead of failing.
+// Resolves to {applied: [endpoint], skipped: [endpoint], failed: [{endpoint, error}]}, it doesn't reject.
+// Pass a historyGroup (see BMChangeHistory.group) to undo the whole preset in one go.
+async function applyPreset(device, preset, groups=null, historyGroup=null) {
+    let results = {applied: [], skipped: [], failed: []};
+
+    for (let setting of BMPresetSettings) {
+        let data = preset.settings[setting.endpoint];
+        if (!data || (groups && !groups.includes(setting.group))) continue;
+
+        try {
+            await device.PUTdata(setting.endpoint, data, historyGroup);
+            results.applied.push(setting.endpoint);
+        } catch (error) {
+            if (error instanceof BMApiError && error.reason === "unsupported") {
+                results.skipped.push(setting.endpoint);
+            } else {
+                results.failed.push({endpoint: setting.endpoint, error: error});
+            }
+        }
+    }
+
+    return results;
+}
+
+/* Matching */
+
+// The color and exposure endpoints BMCamera.matchTo copies from a reference camera by default
+const BMMatchEndpoints = [
+    "/colorCorrection/lift",
+    "/colorCorrection/gamma",
+    "/colorCorrection/gain",
+    "/colorCorrection/offset",
+    "/colorCorrection/contrast",
+    "/colorCorrection/color",
+    "/colorCorrection/lumaContribution",
+    "/video/whiteBalance",
+    "/video/whiteBalanceTint",
+    "/video/shutter",
+    "/video/gain"
+];
+
+/* Device Groups */
+
+// Several devices controlled together ("ganged"), e.g. to change the white balance of every camera at once
+// set() sends a change to every device in the group. Normally they're all set to the same value,
+//  with relative set each one keeps its offset from a reference device instead: they all move as much as it does.
+class BMDeviceGroup {
+    devices = [];
+
+    // If true, set() and queueSet() keep each device's offset from the reference device
+    relative = false;
+
+    // Each device's propertyData when the offsets were captured (see captureOffsets), Map of device => {endpoint: data}
+    // Relative changes work from these rather than the live values, so the offsets don't drift as the
+    //  changes come back and aren't lost when a device has to clamp a value.
+    offsets = new Map();
+
+    constructor(devices=[], relative=false) {
+        this.devices = devices.slice();
+        this.relative = relative;
+        this.captureOffsets();
+    }
+
+    add(device) {
+        if (!this.has(device)) {
+            this.devices.push(device);
+            this.offsets.set(device, structuredClone(device.propertyData));
+        }
+    }
+
+    remove(device) {
+        this.devices = this.devices.filter((d) => d !== device);
+        this.offsets.delete(device);
+    }
+
+    // Takes the devices' current values as the offsets to keep from now on
+    captureOffsets() {
+        this.offsets = new Map(this.devices.map((device) => [device, structuredClone(device.propertyData)]));
+    }
+
+    // device's data for endpoint when the offsets were captured, taken now if it didn't have any then
+    offsetData(device, endpoint) {
+        let snapshot = this.offsets.get(device);
+
+        if (!snapshot) {
+            snapshot = {};
+            this.offsets.set(device, snapshot);
+        }
+
+        if (snapshot[endpoint] === undefined && device.propertyData[endpoint] !== undefined) {
+            snapshot[endpoint] = structuredClone(device.propertyData[endpoint]);
+        }
+
+        return snapshot[endpoint];
+    }
+
+    has(device) {
+        return this.devices.includes(device);
+    }
+
+    // The data to send to device so it follows data being sent to reference
+    // Relative changes apply to number fields, also inside objects (like the red/green/blue/luma of lift),
+    //  fields the device or the reference doesn't have a value for are sent as they are.
+    dataFor(device, endpoint, data, reference, relative=this.relative) {
+        if (!relative || !reference || device === reference) return data;
+
+        return offsetFields(data, this.offsetData(reference, endpoint), this.offsetData(device, endpoint));
+    }
+
+    // Sends data to endpoint on every device in the group with PUTdata, data is the value for reference
+    // Resolves to a result for each device, {device, ok, error}. It never rejects,
+    //  one device refusing the change doesn't stop the others getting it.
+    set(endpoint, data, reference=this.devices[0], relative=this.relative) {
+        return this.send("PUTdata", endpoint, data, reference, relative);
+    }
+
+    // The same with queuePUTdata, for sliders
+    queueSet(endpoint, data, reference=this.devices[0], relative=this.relative) {
+        return this.send("queuePUTdata", endpoint, data, reference, relative);
+    }
+
+    async send(method, endpoint, data, reference, relative) {
+        // Work out every device's data before sending any of it, the reference's propertyData may change once it's sent
+        let sends = this.devices.map((device) => [device, this.dataFor(device, endpoint, data, reference, relative)]);
+
+        // Setting every device to the same value leaves them with no offset for those fields
+        if (!relative) {
+            this.devices.forEach((device) => {
+                let snapshot = this.offsets.get(device);
+                if (snapshot) snapshot[endpoint] = Object.assign({}, snapshot[endpoint], structuredClone(data));
+            });
+        }
+
+        let results = await Promise.allSettled(sends.map(([device, deviceData]) => device[method](endpoint, deviceData)));
+
+        return results.map((result, i) => ({device: sends[i][0], ok: result.status === "fulfilled", error: result.reason}));
+    }
+}
+
+// Moves each number in data by how far it is from referenceData's, starting from deviceData's (see BMDeviceGroup)
+function offsetFields(data, referenceData, deviceData) {
+    let result = {};
+
+    for (let field in data) {
+        let value = data[field];
+        let from = referenceData?.[field];
+        let to = deviceData?.[field];
+
+        if (typeof value === "number" && typeof from === "number" && typeof to === "number") {
+            result[field] = to + (value - from);
+        } else if (typeof value === "object" && value !== null && !Array.isArray(value)) {
+            result[field] = offsetFields(value, from, to);
+        } else {
+            result[field] = value;
+        }
+    }
+
+    return result;
+}
+
+/* Easing */
+
+// Easing curves for BMDevice.ramp, each turns progress (0 to 1) into how far along the value is (0 to 1)
+const BMEasing = {
+    linear: (t) => t,
+    easeIn: (t) => t * t * t,
+    easeOut: (t) => 1 - (1 - t) ** 3,
+    easeInOut: (t) => (t < 0.5) ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2
+};
+
+/* Timeline Helpers */
+
+// Copies a timeline's clips, adding the frame each one starts on as startFrame
+function layoutTimeline(clips) {
+    let startFrame = 0;
+
+    return clips.map((clip) => {
+        let laidOut = Object.assign({}, clip, {startFrame: startFrame});
+        startFrame += clip.frameCount;
+        return laidOut;
+    });
+}
+
+// Index of the clip (from layoutTimeline) a frame is in, the last clip if it's past the end
+function clipIndexAtFrame(timeline, frame) {
+    let index = timeline.findIndex((clip) => frame < clip.startFrame + clip.frameCount);
+
+    return (index >= 0) ? index : Math.max(timeline.length - 1, 0);
+}
+
+/* Format Helpers */
+
+// The entry of a camera's supported formats (see BMCamera.getSupportedFormats) that can record format,
+//  or undefined if there isn't one. Fields missing from format match anything.
+function findSupportedFormat(supportedFormats, format) {
+    let sameResolution = (a, b) => !b || (a?.width == b.width && a?.height == b.height);
+
+    return supportedFormats.find((supported) => {
+        if (!sameResolution(supported.recordResolution, format.recordResolution)) return false;
+        if (!sameResolution(supported.sensorResolution, format.sensorResolution)) return false;
+        if (format.codec && !supported.codecs.includes(format.codec)) return false;
+        if (format.frameRate && !supported.frameRates.includes(String(format.frameRate))) return false;
+
+        if (format.offSpeedEnabled) {
+            return format.offSpeedFrameRate >= supported.minOffSpeedFrameRate && format.offSpeedFrameRate <= supported.maxOffSpeedFrameRate;
+        }
+
+        return true;
+    });
+}
+
+// Short description of a format for messages, like "ProRes:HQ 3840x2160 25fps"
+function describeFormat(format) {
+    let description = [];
+
+    if (format.codec) description.push(format.codec);
+    if (format.recordResolution) description.push(format.recordResolution.width+"x"+format.recordResolution.height);
+    if (format.frameRate) description.push(format.frameRate+"fps");
+    if (format.offSpeedEnabled) description.push("(off speed "+format.offSpeedFrameRate+"fps)");
+
+    return description.join(" ");
+}
+
+/* API Errors */
+
+// Thrown (well, rejected) by BMDevice requests that fail
+// reason says what went wrong, so the UI can tell the user something useful:
+//  "offline":      The device couldn't be reached (network, DNS or CORS problems)
+//  "timeout":      The device didn't answer in time
+//  "unsupported":  The device doesn't have this endpoint (404, 405, 501), e.g. it's a different model
+//  "rejected":     The device didn't accept the data (400, 409, 422)
+//  "error":        Any other error status
+class BMApiError extends Error {
+    method;
+    endpoint;
+    reason;
+
+    // HTTP status code and text (0 and "" if there was no response) and parsed response body
+    status;
+    statusText;
+    body;
+
+    // result is a sendRequest result object, or an object with just a reason for requests that got no response
+    constructor(method, endpoint, result, cause) {
+        let reason = result.reason ?? apiErrorReason(result.status);
+        let description = {
+            offline: "couldn't reach the device",
+            timeout: "the device didn't answer in time",
+            unsupported: "not supported on this device",
+            rejected: "the device rejected the value",
+            error: "the device returned an error"
+        }[reason];
+
+        super(method+" "+endpoint+": "+description+(result.status ? " ("+result.status+" "+result.statusText+")" : ""), {cause: cause});
+        this.name = "BMApiError";
+        this.method = method;
+        this.endpoint = endpoint;
+        this.reason = reason;
+        this.status = result.status ?? 0;
+        this.statusText = result.statusText ?? "";
+        this.body = result.body ?? result.data ?? null;
+    }
+
+    // Could trying again help?
+    get retryable() {
+        return this.reason == "offline" || this.reason == "timeout" || this.status >= 500;
+    }
+}
+
+// Picks a BMApiError reason for an HTTP status code
+function apiErrorReason(status) {
+    if ([404, 405, 501].includes(status)) return "unsupported";
+    if ([400, 409, 422].includes(status)) return "rejected";
+    return "error";
+}
+
+/* Helper Functions */
+
+// Send a request to the device without blocking the page
+// Returns a Promise that resolves to a result object:
+//  ok:         true if the device answered with a 2xx status
+//  status:     HTTP status code
+//  statusText: HTTP status text
+//  data:       Parsed JSON body of the response (null if there was none)
+// The Promise only rejects if the device could not be reached at all or didn't answer within timeout ms
+//  (a BMApiError with reason "offline" or "timeout"), error statuses are left to the caller.
+// fetchImpl is the fetch function to use, the global one by default.
+async function sendRequest(method, url, data, fetchImpl=globalThis.fetch, timeout=5000) {
+    let controller = new AbortController();
+    let requestOptions = {method: method, signal: controller.signal};
+
+    // GET requests can't carry a body
+    if (method !== "GET" && data !== undefined && data !== "") {
+        requestOptions.body = JSON.stringify(data);
+    }
+
+    let timer = setTimeout(() => controller.abort(), timeout);
+    let response;
+    let responseText;
+
+    // Send the request and wait for the response without freezing the page
+    // Read the body too, some endpoints (like /transports/0/play) don't return anything
+    try {
+        response = await fetchImpl(url, requestOptions);
+        responseText = await response.text();
+    } catch (err) {
+        throw new BMApiError(method, url, {reason: controller.signal.aborted ? "timeout" : "offline"}, err);
+    } finally {
+        clearTimeout(timer);
+    }
+
+    let responseData = null;
+
+    if (responseText) {
+        try {
+            responseData = JSON.parse(responseText);
+        } catch (err) {
+            responseData = responseText;                    // Not JSON, pass the raw text along
+        }
+    }
+
+    // Return response data
+    return {
+        ok: response.ok,
+        status: response.status,
+        statusText: response.statusText,
+        data: responseData
+    };
+}
+
+/* Exports */
+
+// In the browser this file is loaded with a plain <script> tag, and everything above is global.
+// In Node.js it's a CommonJS module, so `require("./BMDevice.js")` works.
+// For `import`, use BMDevice.mjs. When that runs in the browser, the exports are handed over through globalThis.
+const BMDeviceExports = {
+    BMDevice,
+    BMCamera,
+    BMHyperDeck,
+    BMSchemaError,
+    BMApiError,
+    BMChangeHistory,
+    BMDeviceGroup,
+    BMTimecode,
+    BMEasing,
+    BMEndpointSchema,
+    BMMatchEndpoints,
+    BMPresetSettings,
+    capturePreset,
+    parsePreset,
+    applyPreset,
+    validatePayload,
+    findSupportedFormat,
+    sendRequest
+};
 
-function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+if (typeof module === "object" && module.exports) {
+    module.exports = BMDeviceExports;
+} else {
+    globalThis.BMDeviceExports = BMDeviceExports;
 }
 
 /* (c) Dylan Speiser 2024              
@@ -0,0 +1,49 @@
+/*      Blackmagic Camera Control JS Class
+        ES Module entry point
+
+        (c) Dylan Speiser 2024              
+        github.com/DylanSpeiser
+
+        This program is free software: you can redistribute it and/or modify
+        it under the terms of the GNU Affero General Public License as published.
+
+        This program is distributed in the hope that it will be useful but without
+        any warranty; without even the implied warranty of merchantability or fitness
+        for a particular purpose as specified by the License, which you should consult
+        for more details at LICENSE.txt in this repository.
+*/
+
+// Lets BMDevice.js be used with `import` in Node.js and in the browser (<script type="module">):
+//
+//  import { BMCamera } from "./BMDevice.mjs";
+//
+// BMDevice.js itself stays a plain script, so index.html keeps working when opened straight from disk.
+
+import * as BMDeviceModule from "./BMDevice.js";
+
+// Node.js hands us the CommonJS exports as the default export,
+//  browsers just run the script, which leaves them on globalThis.
+const BMDeviceExports = BMDeviceModule.default ?? globalThis.BMDeviceExports;
+
+export const {
+    BMDevice,
+    BMCamera,
+    BMHyperDeck,
+    BMSchemaError,
+    BMApiError,
+    BMChangeHistory,
+    BMDeviceGroup,
+    BMTimecode,
+    BMEasing,
+    BMEndpointSchema,
+    BMMatchEndpoints,
+    BMPresetSettings,
+    capturePreset,
+    parsePreset,
+    applyPreset,
+    validatePayload,
+    findSupportedFormat,
+    sendRequest
+} = BMDeviceExports;
+
+export default BMDeviceExports;
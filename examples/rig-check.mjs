@@ -0,0 +1,75 @@
+/*      Blackmagic Camera Control
+        Rig check example
+
+        Connects to every camera given on the command line and prints
+        its format, recording state and timecode, so you can check the rig
+        is matched before a show.
+
+        Usage: node examples/rig-check.mjs bmcamera1.local bmcamera2.local ...
+        On Node.js older than 22, run npm install first (for the "ws" package).
+
+        (c) Dylan Speiser 2024              
+        github.com/DylanSpeiser
+*/
+
+import { BMCamera } from "../BMDevice.mjs";
+
+// Node.js 22+ has a WebSocket built in, older versions need the "ws" package (a devDependency, so npm install gets it)
+const WebSocketImpl = globalThis.WebSocket ?? await import("ws").then((ws) => ws.WebSocket, () => {
+    console.error("This version of Node.js doesn't have a WebSocket built in, run npm install first to get the \"ws\" package (or use Node.js 22+)");
+    process.exit(1);
+});
+
+// How long to wait for each camera before giving up (ms)
+const TIMEOUT = 5000;
+
+const hostnames = process.argv.slice(2);
+
+if (hostnames.length == 0) {
+    console.log("Usage: node examples/rig-check.mjs <hostname> [hostname...]");
+    process.exit(1);
+}
+
+// The camera reports timecode as a BCD number, so its hex digits are HHMMSSFF (the top bit says it's drop-frame)
+function formatTimecode(bcd) {
+    if (typeof bcd !== "number") return "--:--:--:--";
+
+    let digits = ((bcd & 0x7FFFFFFF) >>> 0).toString(16).padStart(8, "0");
+    return digits.match(/.{2}/g).join(":");
+}
+
+async function checkCamera(hostname) {
+    let camera = new BMCamera(hostname, false, {WebSocket: WebSocketImpl});
+
+    // Connection errors show up as a timeout below, don't print them twice
+    camera.on("error", () => {});
+
+    try {
+        // Wait for the first snapshot of every property, or time out
+        await Promise.race([
+            camera.ready,
+            new Promise((resolve, reject) => setTimeout(() => reject(new Error("timed out")), TIMEOUT))
+        ]);
+
+        let format = camera.propertyData['/system/format'];
+        let recording = camera.propertyData['/transports/0/record']?.recording;
+        let timecode = camera.propertyData['/transports/0/timecode']?.timecode;
+
+        return hostname.padEnd(24) +
+            (format?.codec ?? "?").padEnd(16) +
+            ((format?.recordResolution?.width ?? "?") + "x" + (format?.recordResolution?.height ?? "?")).padEnd(12) +
+            ((format?.frameRate ?? "?") + " fps").padEnd(12) +
+            formatTimecode(timecode).padEnd(14) +
+            (recording ? "REC" : "---");
+    } catch (err) {
+        process.exitCode = 1;
+        return hostname.padEnd(24) + "ERROR: " + err.message;
+    } finally {
+        camera.disconnect();
+    }
+}
+
+// Check every camera at the same time
+let results = await Promise.all(hostnames.map(checkCamera));
+
+results.forEach((line) => console.log(line));
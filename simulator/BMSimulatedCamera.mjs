@@ -0,0 +1,758 @@
+/*      Blackmagic Camera Simulator
+        Simulated Camera
+
+        Pretends to be one camera: keeps its state, answers the REST API
+        under /control/api/v1 and runs the event WebSocket with the
+        listProperties / subscribe / propertyValueChanged semantics
+        that BMDevice.js relies on.
+
+        (c) Dylan Speiser 2024
+        github.com/DylanSpeiser
+*/
+
+import { acceptWebSocket } from "./websocket.mjs";
+import { CAMERA_MODELS, DEFAULT_MODEL, AUDIO_INPUTS } from "./models.mjs";
+
+const API_PREFIX = "/control/api/v1";
+const WEBSOCKET_PATH = API_PREFIX + "/event/websocket";
+
+// Endpoints that are only available over HTTP, not through the WebSocket
+const HTTP_ONLY_ENDPOINTS = ["/system", "/system/product", "/system/supportedFormats", "/clips"];
+
+// How often the timecode and playback position move (ms)
+const TICK_INTERVAL = 100;
+
+export class BMSimulatedCamera {
+    // Network name, e.g. "bmcamera1.local"
+    hostname;
+    modelName;
+    model;
+
+    // Current value of every endpoint, indexed by path like BMDevice.propertyData
+    state = {};
+
+    // Connected WebSocket clients: Map of SimulatorSocket -> Set of subscribed paths
+    clients = new Map();
+
+    // Frames recorded/played so far, drives the timecode
+    frameCounter = 0;
+    tickTimer;
+
+    // Length and name of the recording in progress, they become the new clip's frameCount and clipName
+    recordingFrames = 0;
+    recordingClipName;
+
+    constructor(hostname, modelName=DEFAULT_MODEL) {
+        if (!CAMERA_MODELS[modelName]) {
+            throw new Error("Unknown camera model \"" + modelName + "\", choose one of: " + Object.keys(CAMERA_MODELS).join(", "));
+        }
+
+        this.hostname = hostname;
+        this.modelName = modelName;
+        this.model = CAMERA_MODELS[modelName];
+
+        this.state = buildInitialState(hostname, this.model);
+
+        this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    // Stops the timers and disconnects every client
+    close() {
+        clearInterval(this.tickTimer);
+        this.clients.forEach((subscriptions, client) => client.close());
+    }
+
+    get frameRate() {
+        return Math.round(parseFloat(this.state["/system/format"].frameRate)) || 25;
+    }
+
+    // ============= STATE ================
+
+    // Changes an endpoint's value and tells every subscribed client about it
+    setProperty(path, value) {
+        this.state[path] = value;
+
+        this.clients.forEach((subscriptions, client) => {
+            if (subscriptions.has(path)) {
+                client.send(JSON.stringify({type: "event", data: {action: "propertyValueChanged", property: path, value: value}}));
+            }
+        });
+    }
+
+    // Merges data into an endpoint's current value
+    updateProperty(path, data) {
+        this.setProperty(path, Object.assign({}, this.state[path], data));
+    }
+
+    // Runs the clock while recording or playing
+    tick() {
+        let transportState = this.state["/transports/0/state"].state;
+
+        if (transportState == "preview") return;
+
+        let frames = Math.max(1, Math.round(this.frameRate * TICK_INTERVAL / 1000));
+
+        if (transportState == "record") {
+            this.frameCounter += frames;
+            this.recordingFrames += frames;
+        } else if (transportState == "play") {
+            let playback = this.state["/transports/0/playback"];
+            let timelineLength = this.state["/timelines/0"].clips.reduce((sum, clip) => sum + clip.frameCount, 0);
+            let position = playback.position + Math.round(frames * (playback.speed ?? 1));
+
+            if (position >= timelineLength || position < 0) {
+                if (playback.loop && timelineLength > 0) {
+                    position = ((position % timelineLength) + timelineLength) % timelineLength;
+                } else {
+                    position = Math.min(Math.max(position, 0), timelineLength);
+                    this.setProperty("/transports/0/state", {state: "preview"});
+                }
+            }
+
+            this.updateProperty("/transports/0/playback", {position: position});
+            this.frameCounter = position;
+
+            if (this.model.isHyperDeck) {
+                let clipIndex = this.clipIndexAt(position);
+
+                if (clipIndex != this.state["/transports/0/clipIndex"].clipIndex) {
+                    this.setProperty("/transports/0/clipIndex", {clipIndex: clipIndex});
+                }
+            }
+        }
+
+        this.setProperty("/transports/0/timecode", framesToTimecode(this.frameCounter, this.frameRate));
+    }
+
+    // ============= HTTP ================
+
+    // Handles a request to /control/api/v1/...
+    // Returns false if the URL isn't part of the API, so the server can 404 it.
+    handleRequest(request, response) {
+        let url = new URL(request.url, "http://" + this.hostname);
+
+        if (!url.pathname.startsWith(API_PREFIX)) return false;
+
+        let path = url.pathname.substring(API_PREFIX.length);
+
+        if (request.method == "OPTIONS") {
+            sendResponse(response, 204);
+            return true;
+        }
+
+        if (this.model.unsupported.includes(path)) {
+            sendResponse(response, 404, {error: "Not supported on " + this.modelName});
+            return true;
+        }
+
+        if (request.method == "GET") {
+            if (this.state[path] === undefined) {
+                sendResponse(response, 404, {error: "Unknown endpoint"});
+            } else {
+                sendResponse(response, 200, this.state[path]);
+            }
+            return true;
+        }
+
+        if (request.method == "PUT" || request.method == "POST") {
+            readBody(request).then((body) => {
+                let data;
+
+                try {
+                    data = body ? JSON.parse(body) : undefined;
+                } catch (err) {
+                    sendResponse(response, 400, {error: "Malformed JSON"});
+                    return;
+                }
+
+                let status = request.method == "PUT" ? this.handlePUT(path, data) : this.handlePOST(path, data);
+                sendResponse(response, status, status >= 300 ? {error: "Request rejected"} : undefined);
+            });
+            return true;
+        }
+
+        if (request.method == "DELETE") {
+            let status = this.handleDELETE(path);
+            sendResponse(response, status, status >= 300 ? {error: "Request rejected"} : undefined);
+            return true;
+        }
+
+        sendResponse(response, 405, {error: "Method not allowed"});
+        return true;
+    }
+
+    // Applies a PUT request to the camera's state, returns the HTTP status code
+    handlePUT(path, data) {
+        let isObject = typeof data === "object" && data !== null && !Array.isArray(data);
+
+        switch (path) {
+            case "/transports/0/record":
+                if (!isObject || typeof data.recording !== "boolean") return 400;
+                this.setRecording(data.recording, data.clipName);
+                return 204;
+
+            case "/transports/0/play":
+                this.setRecording(false);
+                this.setProperty("/transports/0/state", {state: "play"});
+                return 204;
+
+            case "/transports/0/stop":
+                this.setRecording(false);
+                this.setProperty("/transports/0/state", {state: "preview"});
+                return 204;
+
+            case "/lens/iris":
+                if (!isObject) return 400;
+                this.setIris(data);
+                return 204;
+
+            case "/lens/zoom":
+                if (!isObject) return 400;
+                this.setZoom(data);
+                return 204;
+
+            case "/lens/focus/doAutoFocus":
+                this.updateProperty("/lens/focus", {normalised: 0.5});
+                return 204;
+
+            case "/video/whiteBalance/doAuto":
+                this.setProperty("/video/whiteBalance", {whiteBalance: 5600});
+                this.setProperty("/video/whiteBalanceTint", {whiteBalanceTint: 0});
+                return 204;
+
+            case "/system/format":
+                if (!isObject || !this.state["/system/supportedFormats"]) return 404;
+                return this.setFormat(data) ? 204 : 400;
+
+            // The slate's clip and lens fields can be changed a few at a time
+            case "/slates/nextClip":
+                if (this.state[path] === undefined) return 404;
+                if (!isObject || [data.clip, data.lens].some((part) => part !== undefined && typeof part !== "object")) return 400;
+                this.setProperty(path, {
+                    clip: Object.assign({}, this.state[path].clip, data.clip),
+                    lens: Object.assign({}, this.state[path].lens, data.lens)
+                });
+                return 204;
+
+            case "/presets/active":
+                if (!isObject || !this.state["/presets"].presets.includes(data.preset)) return 400;
+                this.setProperty("/presets/active", {preset: data.preset});
+                return 204;
+
+            case "/transports/0/playback":
+                if (!isObject) return 400;
+                if (data.position !== undefined && (!Number.isInteger(data.position) || data.position < 0)) return 400;
+                this.updateProperty(path, data);
+
+                // Moving the playhead moves the timecode with it
+                if (data.position !== undefined) {
+                    this.frameCounter = data.position;
+                    this.setProperty("/transports/0/timecode", framesToTimecode(this.frameCounter, this.frameRate));
+
+                    if (this.model.isHyperDeck) {
+                        this.setProperty("/transports/0/clipIndex", {clipIndex: this.clipIndexAt(data.position)});
+                    }
+                }
+
+                // Variable speed is a shuttle, so it starts playing (unless the speed is 0)
+                if (data.type == "Var") {
+                    this.setRecording(false);
+                    this.setProperty("/transports/0/state", {state: data.speed ? "play" : "preview"});
+                }
+                return 204;
+        }
+
+        if (this.model.isHyperDeck) {
+            let status = this.handleDeckPUT(path, data, isObject);
+            if (status) return status;
+        }
+
+        let audioMatch = path.match(/^\/audio\/channel\/(\d+)\/(input|level|phantomPower|lowCutFilter)$/);
+        if (audioMatch && this.state[path] !== undefined) {
+            if (!isObject) return 400;
+            return this.handleAudioPUT("/audio/channel/" + audioMatch[1], audioMatch[2], data);
+        }
+
+        // Everything else just stores what it's given
+        if (this.state[path] === undefined || HTTP_ONLY_ENDPOINTS.includes(path)) return 404;
+        if (!isObject) return 400;
+
+        this.updateProperty(path, data);
+        return 204;
+    }
+
+    // HyperDeck only endpoints, returns the HTTP status code (or undefined if it isn't one of them)
+    handleDeckPUT(path, data, isObject) {
+        switch (path) {
+            case "/transports/0":
+                if (!isObject || !["InputPreview", "InputRecord", "Output"].includes(data.mode)) return 400;
+                this.setProperty(path, {mode: data.mode});
+                return 204;
+
+            case "/transports/0/clipIndex":
+                if (!isObject || !Number.isInteger(data.clipIndex)) return 400;
+                if (data.clipIndex < 0 || data.clipIndex >= this.state["/timelines/0"].clips.length) return 400;
+                this.cueClip(data.clipIndex);
+                return 204;
+
+            case "/transports/0/inputVideoSource":
+                if (!isObject || !this.model.inputs.includes(data.inputVideoSource)) return 400;
+                this.setProperty(path, {inputVideoSource: data.inputVideoSource});
+                return 204;
+
+            case "/media/active":
+                if (!isObject || !Number.isInteger(data.workingsetIndex)) return 400;
+                if (data.workingsetIndex < 0 || data.workingsetIndex >= this.model.media.length) return 400;
+                this.setActiveMedia(data.workingsetIndex);
+                return 204;
+        }
+    }
+
+    // Changes the recording format if it's one of the supported ones, returns whether it was
+    // Like the real cameras, changing the format stops a recording
+    setFormat(data) {
+        let format = Object.assign({}, this.state["/system/format"], data);
+        let sameResolution = (a, b) => a.width == b.width && a.height == b.height;
+
+        let supported = this.state["/system/supportedFormats"].supportedFormats.find((entry) => {
+            return sameResolution(entry.recordResolution, format.recordResolution) &&
+                sameResolution(entry.sensorResolution, format.sensorResolution) &&
+                entry.codecs.includes(format.codec) &&
+                entry.frameRates.includes(format.frameRate) &&
+                (!format.offSpeedEnabled || (format.offSpeedFrameRate >= entry.minOffSpeedFrameRate && format.offSpeedFrameRate <= entry.maxOffSpeedFrameRate));
+        });
+
+        if (!supported) return false;
+
+        this.setRecording(false);
+        this.setProperty("/transports/0/state", {state: "preview"});
+        this.setProperty("/system/format", format);
+        this.setProperty("/transports/0/timecode", framesToTimecode(this.frameCounter, this.frameRate));
+        return true;
+    }
+
+    // Audio channel endpoints, channelPath is like "/audio/channel/0", returns the HTTP status code
+    // Like the real cameras, phantom power and the low cut filter are refused on inputs that don't have them
+    handleAudioPUT(channelPath, endpoint, data) {
+        let description = AUDIO_INPUTS[this.state[channelPath + "/input"].input];
+
+        switch (endpoint) {
+            case "input":
+                if (!this.model.audio.inputs.includes(data.input)) return 400;
+                this.setAudioInput(channelPath, data.input);
+                return 204;
+
+            case "level":
+                this.setAudioLevel(channelPath, data);
+                return 204;
+
+            case "phantomPower":
+                if (typeof data.phantomPower !== "boolean") return 400;
+                if (data.phantomPower && !description.phantomPower) return 400;
+                this.setProperty(channelPath + "/phantomPower", {phantomPower: data.phantomPower});
+                return 204;
+
+            case "lowCutFilter":
+                if (typeof data.lowCutFilter !== "boolean") return 400;
+                if (data.lowCutFilter && !description.lowCutFilter) return 400;
+                this.setProperty(channelPath + "/lowCutFilter", {lowCutFilter: data.lowCutFilter});
+                return 204;
+        }
+    }
+
+    // Switches a channel's input, which changes its gain range and what it supports
+    setAudioInput(channelPath, input) {
+        let description = AUDIO_INPUTS[input];
+
+        this.setProperty(channelPath + "/input", {input: input});
+        this.setProperty(channelPath + "/input/description", describeAudioInput(input));
+
+        // Phantom power goes off on inputs that can't have it, the level is kept within the new range
+        if (!description.phantomPower && this.state[channelPath + "/phantomPower"].phantomPower) {
+            this.setProperty(channelPath + "/phantomPower", {phantomPower: false});
+        }
+
+        this.setAudioLevel(channelPath, {gain: this.state[channelPath + "/level"].gain});
+    }
+
+    // Keeps gain (dB) and normalised in sync, whichever one was sent
+    setAudioLevel(channelPath, data) {
+        let range = AUDIO_INPUTS[this.state[channelPath + "/input"].input].gain;
+        let span = range.max - range.min;
+        let gain = this.state[channelPath + "/level"].gain;
+
+        if (typeof data.normalised === "number") {
+            gain = range.min + clamp(data.normalised, 0, 1) * span;
+        } else if (typeof data.gain === "number") {
+            gain = data.gain;
+        }
+
+        gain = roundTo(clamp(gain, range.min, range.max), 1);
+
+        this.setProperty(channelPath + "/level", {gain: gain, normalised: span > 0 ? roundTo((gain - range.min) / span, 3) : 0});
+    }
+
+    // Applies a POST request, returns the HTTP status code
+    handlePOST(path, data) {
+        if (!this.model.isHyperDeck || path !== "/timelines/0/add") return 404;
+        if (!Array.isArray(data?.clips)) return 400;
+
+        let mediaClips = this.state["/clips"].clips;
+        let added = data.clips.map((id) => mediaClips.find((clip) => clip.clipUniqueId == id));
+
+        if (added.includes(undefined)) return 400;
+
+        this.setProperty("/timelines/0", {clips: this.state["/timelines/0"].clips.concat(added)});
+        return 204;
+    }
+
+    // Applies a DELETE request, returns the HTTP status code
+    handleDELETE(path) {
+        if (!this.model.isHyperDeck || path !== "/timelines/0") return 404;
+
+        this.setRecording(false);
+        this.setProperty("/transports/0/state", {state: "preview"});
+        this.setProperty("/timelines/0", {clips: []});
+        this.cueClip(0);
+        return 204;
+    }
+
+    setRecording(recording, clipName) {
+        let wasRecording = this.state["/transports/0/record"].recording;
+
+        if (recording == wasRecording) return;
+
+        this.setProperty("/transports/0/record", {recording: recording});
+        this.setProperty("/transports/0/state", {state: recording ? "record" : "preview"});
+
+        // Every recording ends up as a new clip on the timeline (and on the deck's media)
+        if (recording) {
+            this.recordingFrames = 0;
+            this.recordingClipName = clipName;
+        } else {
+            let timeline = this.state["/timelines/0"];
+            let clipNumber = timeline.clips.length + 1;
+            let clip = {
+                clipUniqueId: Date.now(),
+                clipName: this.recordingClipName || ("A001_C" + String(clipNumber).padStart(3, "0")),
+                frameCount: Math.max(this.recordingFrames, 1)
+            };
+
+            this.setProperty("/timelines/0", {clips: timeline.clips.concat([clip])});
+
+            if (this.model.isHyperDeck) {
+                this.state["/clips"] = {clips: this.state["/clips"].clips.concat([clip])};
+            }
+        }
+    }
+
+    // Moves the playhead to the start of a clip on the timeline
+    cueClip(clipIndex) {
+        let position = this.state["/timelines/0"].clips.slice(0, clipIndex).reduce((sum, clip) => sum + clip.frameCount, 0);
+
+        this.frameCounter = position;
+        this.updateProperty("/transports/0/playback", {position: position});
+        this.setProperty("/transports/0/clipIndex", {clipIndex: clipIndex});
+        this.setProperty("/transports/0/timecode", framesToTimecode(position, this.frameRate));
+    }
+
+    // Which clip on the timeline the playhead is in
+    clipIndexAt(position) {
+        let clips = this.state["/timelines/0"].clips;
+        let start = 0;
+
+        for (let i = 0; i < clips.length; i++) {
+            start += clips[i].frameCount;
+            if (position < start) return i;
+        }
+
+        return Math.max(clips.length - 1, 0);
+    }
+
+    setActiveMedia(workingsetIndex) {
+        let workingset = this.state["/media/workingset"];
+
+        this.setProperty("/media/workingset", Object.assign({}, workingset, {
+            workingset: workingset.workingset.map((slot) => Object.assign({}, slot, {activeDisk: slot.index == workingsetIndex}))
+        }));
+        this.setProperty("/media/active", {workingsetIndex: workingsetIndex, deviceName: this.model.media[workingsetIndex]});
+    }
+
+    // Keeps apertureStop and normalised in sync, whichever one was sent
+    setIris(data) {
+        let lens = this.model.lens;
+        let stopRange = Math.log2(lens.maxApertureStop / lens.minApertureStop);
+        let iris = Object.assign({}, this.state["/lens/iris"], data);
+
+        if (data.normalised !== undefined) {
+            iris.normalised = clamp(data.normalised, 0, 1);
+            iris.apertureStop = roundTo(lens.minApertureStop * (2 ** (iris.normalised * stopRange)), 1);
+        } else if (data.apertureStop !== undefined) {
+            iris.apertureStop = clamp(data.apertureStop, lens.minApertureStop, lens.maxApertureStop);
+            iris.normalised = roundTo(Math.log2(iris.apertureStop / lens.minApertureStop) / stopRange, 3);
+        }
+
+        iris.apertureNumber = Math.round(iris.apertureStop * 100);
+
+        this.setProperty("/lens/iris", iris);
+    }
+
+    // Keeps focalLength and normalised in sync, whichever one was sent
+    setZoom(data) {
+        let lens = this.model.lens;
+        let zoom = Object.assign({}, this.state["/lens/zoom"], data);
+
+        if (data.normalised !== undefined) {
+            zoom.normalised = clamp(data.normalised, 0, 1);
+            zoom.focalLength = Math.round(lens.minFocalLength + zoom.normalised * (lens.maxFocalLength - lens.minFocalLength));
+        } else if (data.focalLength !== undefined) {
+            zoom.focalLength = clamp(data.focalLength, lens.minFocalLength, lens.maxFocalLength);
+            zoom.normalised = roundTo((zoom.focalLength - lens.minFocalLength) / (lens.maxFocalLength - lens.minFocalLength), 3);
+        }
+
+        this.setProperty("/lens/zoom", zoom);
+    }
+
+    // ============= WEBSOCKET ================
+
+    // Handles an HTTP upgrade to the event WebSocket
+    // Returns false if the URL isn't the event WebSocket
+    handleUpgrade(request, socket) {
+        if (new URL(request.url, "http://" + this.hostname).pathname !== WEBSOCKET_PATH) return false;
+
+        let client = acceptWebSocket(request, socket);
+        if (!client) return true;
+
+        this.clients.set(client, new Set());
+
+        client.onmessage = (text) => this.handleWebSocketMessage(client, text);
+        client.onclose = () => this.clients.delete(client);
+
+        return true;
+    }
+
+    handleWebSocketMessage(client, text) {
+        let message;
+
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            return;
+        }
+
+        if (message.type !== "request" || !message.data) return;
+
+        let action = message.data.action;
+        let subscriptions = this.clients.get(client);
+
+        if (action == "listProperties") {
+            client.send(JSON.stringify({type: "response", data: {action: action, properties: this.websocketProperties()}}));
+        } else if (action == "subscribe") {
+            let available = this.websocketProperties();
+            let properties = (message.data.properties || []).filter((path) => available.includes(path));
+            let values = {};
+
+            properties.forEach((path) => {
+                subscriptions.add(path);
+                values[path] = this.state[path];
+            });
+
+            client.send(JSON.stringify({type: "response", data: {action: action, properties: properties, values: values, success: true}}));
+        } else if (action == "unsubscribe") {
+            let properties = message.data.properties || [];
+
+            properties.forEach((path) => subscriptions.delete(path));
+
+            client.send(JSON.stringify({type: "response", data: {action: action, properties: properties, success: true}}));
+        }
+    }
+
+    // Every endpoint this camera reports over the WebSocket
+    websocketProperties() {
+        return Object.keys(this.state).filter((path) => {
+            return !HTTP_ONLY_ENDPOINTS.includes(path) && !this.model.unsupported.includes(path);
+        });
+    }
+}
+
+/* Helper Functions */
+
+// Everything a freshly switched on camera would report
+function buildInitialState(hostname, model) {
+    let deviceName = hostname.replace(".local", "").replace(/:\d+$/, "");
+
+    let state = {
+        "/system": {deviceName: deviceName, productName: model.productName},
+        "/system/product": {deviceName: deviceName, productName: model.productName, softwareVersion: "8.6"},
+        "/system/format": Object.assign({sensorResolution: model.sensorResolution, offSpeedEnabled: false, offSpeedFrameRate: 0}, structuredClone(model.format)),
+
+        "/transports/0/state": {state: "preview"},
+        "/transports/0/record": {recording: false},
+        "/transports/0/playback": {type: "Play", loop: false, singleClip: false, speed: 1.0, position: 0},
+        "/transports/0/timecode": framesToTimecode(0, 25),
+        "/timelines/0": {clips: [
+            {clipUniqueId: 1, clipName: "A001_C001", frameCount: 250},
+            {clipUniqueId: 2, clipName: "A001_C002", frameCount: 500},
+            {clipUniqueId: 3, clipName: "A001_C003", frameCount: 375}
+        ]}
+    };
+
+    if (model.isHyperDeck) {
+        Object.assign(state, buildDeckState(model, state["/timelines/0"].clips));
+    } else {
+        Object.assign(state, buildCameraState(model));
+    }
+
+    model.unsupported.forEach((path) => delete state[path]);
+
+    return state;
+}
+
+// The lens, image and preset endpoints of a camera
+function buildCameraState(model) {
+    let lens = model.lens;
+
+    let state = {
+        "/lens/iris": {continuousApertureAutoExposure: false, apertureStop: lens.minApertureStop, normalised: 0.0, apertureNumber: Math.round(lens.minApertureStop * 100)},
+        "/lens/zoom": {focalLength: lens.minFocalLength, normalised: 0.0},
+        "/lens/focus": {normalised: 0.5},
+
+        "/video/iso": {iso: model.iso},
+        "/video/gain": {gain: 0},
+        "/video/whiteBalance": {whiteBalance: 5600},
+        "/video/whiteBalanceTint": {whiteBalanceTint: 0},
+        "/video/shutter": model.shutterMode == "angle" ? {continuousShutterAutoExposure: false, shutterAngle: 18000} : {continuousShutterAutoExposure: false, shutterSpeed: 50},
+        "/video/autoExposure": {mode: "Off", type: ""},
+
+        "/colorCorrection/lift": {red: 0.0, green: 0.0, blue: 0.0, luma: 0.0},
+        "/colorCorrection/gamma": {red: 0.0, green: 0.0, blue: 0.0, luma: 0.0},
+        "/colorCorrection/gain": {red: 1.0, green: 1.0, blue: 1.0, luma: 1.0},
+        "/colorCorrection/offset": {red: 0.0, green: 0.0, blue: 0.0, luma: 0.0},
+        "/colorCorrection/contrast": {pivot: 0.5, adjust: 1.0},
+        "/colorCorrection/color": {hue: 0.0, saturation: 1.0},
+        "/colorCorrection/lumaContribution": {lumaContribution: 1.0},
+
+        "/system/supportedFormats": {supportedFormats: model.supportedFormats},
+
+        "/slates/nextClip": {
+            clip: {reel: 1, scene: "1", take: 1, shotType: "", goodTake: false, environment: "", dayNight: ""},
+            lens: {lensType: lens.minFocalLength + "-" + lens.maxFocalLength + "mm", iris: "", focalLength: "", distance: "", filter: ""}
+        },
+        "/slates/project": {projectName: "Untitled", camera: "A", director: "", cameraOperator: ""},
+
+        "/presets": {presets: ["Default.cset", "Interview.cset", "Stage.cset"]},
+        "/presets/active": {preset: "Default.cset"}
+    };
+
+    if (model.hasNDFilter) {
+        state["/video/ndFilter"] = {stop: 0};
+    }
+
+    if (model.displays) {
+        state["/monitoring/display"] = {displays: model.displays};
+        state["/monitoring/focusAssist"] = {mode: "Peak", color: "Red", intensity: 50};
+        state["/monitoring/zebraLevel"] = {zebraLevel: 95};
+        state["/monitoring/frameGuideRatio"] = {ratio: "2.40:1"};
+        state["/monitoring/safeAreaPercent"] = {safeAreaPercent: 90};
+
+        model.displays.forEach((displayName) => {
+            ["focusAssist", "zebra", "falseColor", "frameGuide", "safeArea", "cleanFeed", "displayLUT"].forEach((overlay) => {
+                state["/monitoring/" + displayName + "/" + overlay] = {enabled: false};
+            });
+        });
+    }
+
+    model.audio?.channels.forEach((input, i) => {
+        let path = "/audio/channel/" + i;
+        let range = AUDIO_INPUTS[input].gain;
+        let gain = clamp(0, range.min, range.max);
+
+        state[path + "/input"] = {input: input};
+        state[path + "/input/description"] = describeAudioInput(input);
+        state[path + "/supportedInputs"] = {supportedInputs: model.audio.inputs.map((name) => ({input: name, available: true}))};
+        state[path + "/level"] = {gain: gain, normalised: range.max > range.min ? roundTo((gain - range.min) / (range.max - range.min), 3) : 0};
+        state[path + "/phantomPower"] = {phantomPower: false};
+        state[path + "/lowCutFilter"] = {lowCutFilter: false};
+    });
+
+    return state;
+}
+
+// The transport, clip and media endpoints of a HyperDeck
+// The timeline starts out with the first few clips on the media
+function buildDeckState(model, timelineClips) {
+    let mediaClips = timelineClips.concat([
+        {clipUniqueId: 4, clipName: "A001_C004", frameCount: 750},
+        {clipUniqueId: 5, clipName: "A001_C005", frameCount: 125}
+    ]);
+
+    return {
+        "/transports/0": {mode: "InputPreview"},
+        "/transports/0/clipIndex": {clipIndex: 0},
+        "/transports/0/inputVideoSource": {inputVideoSource: model.inputs[0]},
+
+        "/clips": {clips: mediaClips},
+
+        "/media/workingset": {size: model.media.length, workingset: model.media.map((name, i) => ({
+            index: i,
+            activeDisk: i == 0,
+            volume: "Untitled " + name.toUpperCase(),
+            deviceName: name,
+            remainingRecordTime: 3600 * (i + 1),
+            totalSpace: 256000000000,
+            remainingSpace: 128000000000,
+            clipCount: i == 0 ? mediaClips.length : 0
+        }))},
+        "/media/active": {workingsetIndex: 0, deviceName: model.media[0]}
+    };
+}
+
+// What /audio/channel/N/input/description says about an input
+function describeAudioInput(input) {
+    let description = AUDIO_INPUTS[input];
+
+    return {
+        gain: Object.assign({}, description.gain),
+        capabilities: {phantomPower: description.phantomPower, lowCutFilter: description.lowCutFilter}
+    };
+}
+
+// Turns a frame count into the BCD timecode the camera reports
+function framesToTimecode(frames, frameRate) {
+    let ff = frames % frameRate;
+    let totalSeconds = Math.floor(frames / frameRate);
+    let ss = totalSeconds % 60;
+    let mm = Math.floor(totalSeconds / 60) % 60;
+    let hh = Math.floor(totalSeconds / 3600) % 24;
+
+    let digits = [hh, mm, ss, ff].map((n) => String(n).padStart(2, "0")).join("");
+
+    return {timecode: parseInt(digits, 16), display: digits.match(/.{2}/g).join(":")};
+}
+
+function sendResponse(response, status, body) {
+    response.writeHead(status, {
+        "Access-Control-Allow-Origin": "*",
+        "Access-Control-Allow-Methods": "GET, PUT, POST, DELETE, OPTIONS",
+        "Access-Control-Allow-Headers": "*",
+        "Content-Type": "application/json"
+    });
+
+    response.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(request) {
+    return new Promise((resolve) => {
+        let chunks = [];
+        request.on("data", (chunk) => chunks.push(chunk));
+        request.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    });
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+function roundTo(value, decimals) {
+    return parseFloat(value.toFixed(decimals));
+}
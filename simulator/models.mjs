@@ -0,0 +1,135 @@
+/*      Blackmagic Camera Simulator
+        Camera model definitions
+
+        Each model describes what the simulated camera looks like:
+        which endpoints it has, its lens and its default settings.
+        Models with isHyperDeck set pretend to be a HyperDeck instead.
+        Add your own by copying one of these.
+
+        (c) Dylan Speiser 2024
+        github.com/DylanSpeiser
+*/
+
+// Every audio input a camera might have: its gain range in dB and whether phantom power and the low cut filter work on it
+export const AUDIO_INPUTS = {
+    "None":             {gain: {min: 0, max: 0}, phantomPower: false, lowCutFilter: false},
+    "Camera - Left":    {gain: {min: -12, max: 24}, phantomPower: false, lowCutFilter: true},
+    "Camera - Right":   {gain: {min: -12, max: 24}, phantomPower: false, lowCutFilter: true},
+    "Camera - Mono":    {gain: {min: -12, max: 24}, phantomPower: false, lowCutFilter: true},
+    "XLR1 - Mic":       {gain: {min: 0, max: 60}, phantomPower: true, lowCutFilter: true},
+    "XLR1 - Line":      {gain: {min: -12, max: 24}, phantomPower: false, lowCutFilter: true},
+    "XLR2 - Mic":       {gain: {min: 0, max: 60}, phantomPower: true, lowCutFilter: true},
+    "XLR2 - Line":      {gain: {min: -12, max: 24}, phantomPower: false, lowCutFilter: true},
+    "3.5mm - Mic":      {gain: {min: 0, max: 48}, phantomPower: false, lowCutFilter: true},
+    "3.5mm - Line":     {gain: {min: -12, max: 24}, phantomPower: false, lowCutFilter: true}
+};
+
+const STUDIO_AUDIO_INPUTS = ["None", "Camera - Left", "Camera - Right", "Camera - Mono", "3.5mm - Mic", "3.5mm - Line"];
+const XLR_AUDIO_INPUTS = ["None", "Camera - Left", "Camera - Right", "Camera - Mono", "XLR1 - Mic", "XLR1 - Line", "XLR2 - Mic", "XLR2 - Line", "3.5mm - Mic", "3.5mm - Line"];
+
+// Builds a model's /system/supportedFormats, one entry per record resolution
+// Every resolution uses the whole sensor and can do all the codecs and frame rates.
+function supportedFormats(sensorResolution, recordResolutions, codecs, frameRates, maxOffSpeedFrameRate) {
+    return recordResolutions.map(([width, height]) => ({
+        recordResolution: {width: width, height: height},
+        sensorResolution: Object.assign({}, sensorResolution),
+        codecs: codecs,
+        frameRates: frameRates,
+        minOffSpeedFrameRate: 5,
+        maxOffSpeedFrameRate: maxOffSpeedFrameRate
+    }));
+}
+
+const BRAW_CODECS = ["BRaw:Q0", "BRaw:Q5", "BRaw:3_1", "BRaw:5_1", "BRaw:8_1", "BRaw:12_1"];
+const PRORES_CODECS = ["ProRes:HQ", "ProRes:422", "ProRes:LT", "ProRes:PXY"];
+const H264_CODECS = ["H.264:High", "H.264:Medium", "H.264:Low"];
+const FRAME_RATES = ["23.98", "24", "25", "29.97", "30", "50", "59.94", "60"];
+
+export const CAMERA_MODELS = {
+    "Studio Camera 4K Pro": {
+        productName: "Blackmagic Studio Camera 4K Pro",
+        hasNDFilter: false,
+        shutterMode: "speed",               // "speed" (1/x) or "angle"
+        lens: {minFocalLength: 14, maxFocalLength: 42, minApertureStop: 3.5, maxApertureStop: 22.0},
+        sensorResolution: {width: 3840, height: 2160},
+        format: {codec: "BRaw:Q0", frameRate: "25", recordResolution: {width: 3840, height: 2160}},
+        supportedFormats: supportedFormats({width: 3840, height: 2160}, [[3840, 2160], [1920, 1080]], BRAW_CODECS.concat(PRORES_CODECS, H264_CODECS), FRAME_RATES, 60),
+        iso: 400,
+        // Monitoring outputs, each with its own overlays
+        displays: ["LCD", "HDMI", "SDI"],
+        // Inputs each audio channel can choose from (see AUDIO_INPUTS), one channel per starting input
+        audio: {inputs: STUDIO_AUDIO_INPUTS, channels: ["Camera - Left", "Camera - Right"]},
+        // Endpoints this model doesn't have
+        unsupported: []
+    },
+
+    "Studio Camera 6K Pro": {
+        productName: "Blackmagic Studio Camera 6K Pro",
+        hasNDFilter: true,
+        shutterMode: "speed",
+        lens: {minFocalLength: 24, maxFocalLength: 70, minApertureStop: 2.8, maxApertureStop: 22.0},
+        sensorResolution: {width: 6144, height: 3456},
+        format: {codec: "BRaw:Q0", frameRate: "25", recordResolution: {width: 6144, height: 3456}},
+        supportedFormats: supportedFormats({width: 6144, height: 3456}, [[6144, 3456], [3840, 2160], [1920, 1080]], BRAW_CODECS.concat(PRORES_CODECS, H264_CODECS), FRAME_RATES, 60),
+        iso: 400,
+        displays: ["LCD", "HDMI", "SDI"],
+        audio: {inputs: XLR_AUDIO_INPUTS, channels: ["XLR1 - Mic", "XLR2 - Mic"]},
+        unsupported: []
+    },
+
+    "Pocket Cinema Camera 6K Pro": {
+        productName: "Blackmagic Pocket Cinema Camera 6K Pro",
+        hasNDFilter: true,
+        shutterMode: "angle",
+        lens: {minFocalLength: 18, maxFocalLength: 55, minApertureStop: 2.8, maxApertureStop: 22.0},
+        sensorResolution: {width: 6144, height: 3456},
+        format: {codec: "BRaw:5_1", frameRate: "24", recordResolution: {width: 6144, height: 3456}},
+        supportedFormats: supportedFormats({width: 6144, height: 3456}, [[6144, 3456], [3840, 2160], [1920, 1080]], BRAW_CODECS.concat(PRORES_CODECS), FRAME_RATES, 50),
+        iso: 800,
+        displays: ["LCD", "HDMI"],
+        audio: {inputs: XLR_AUDIO_INPUTS, channels: ["Camera - Left", "Camera - Right"]},
+        unsupported: []
+    },
+
+    "Pocket Cinema Camera 4K": {
+        productName: "Blackmagic Pocket Cinema Camera 4K",
+        hasNDFilter: false,
+        shutterMode: "angle",
+        lens: {minFocalLength: 12, maxFocalLength: 35, minApertureStop: 2.8, maxApertureStop: 22.0},
+        sensorResolution: {width: 4096, height: 2160},
+        format: {codec: "ProRes:HQ", frameRate: "24", recordResolution: {width: 4096, height: 2160}},
+        supportedFormats: supportedFormats({width: 4096, height: 2160}, [[4096, 2160], [3840, 2160], [1920, 1080]], BRAW_CODECS.concat(PRORES_CODECS), FRAME_RATES, 60),
+        iso: 400,
+        displays: ["LCD", "HDMI"],
+        audio: {inputs: STUDIO_AUDIO_INPUTS.concat(["XLR1 - Mic", "XLR1 - Line"]), channels: ["Camera - Left", "Camera - Right"]},
+        // The older Pocket doesn't do presets or the low cut filter over the API
+        unsupported: ["/presets", "/presets/active", "/audio/channel/0/lowCutFilter", "/audio/channel/1/lowCutFilter"]
+    },
+
+    "URSA Broadcast G2": {
+        productName: "Blackmagic URSA Broadcast G2",
+        hasNDFilter: true,
+        shutterMode: "speed",
+        lens: {minFocalLength: 8, maxFocalLength: 160, minApertureStop: 1.8, maxApertureStop: 16.0},
+        sensorResolution: {width: 6144, height: 3456},
+        format: {codec: "H.264:High", frameRate: "50", recordResolution: {width: 3840, height: 2160}},
+        supportedFormats: supportedFormats({width: 6144, height: 3456}, [[3840, 2160], [1920, 1080]], BRAW_CODECS.concat(PRORES_CODECS, H264_CODECS), FRAME_RATES, 120),
+        iso: 400,
+        displays: ["LCD", "SDI"],
+        audio: {inputs: XLR_AUDIO_INPUTS, channels: ["XLR1 - Mic", "XLR2 - Mic", "Camera - Left", "Camera - Right"]},
+        unsupported: []
+    },
+
+    // HyperDecks don't have a lens or any image controls,
+    //  instead they have clips on their media, input sources and a working set of media slots
+    "HyperDeck Studio 4K Pro": {
+        productName: "Blackmagic HyperDeck Studio 4K Pro",
+        isHyperDeck: true,
+        format: {codec: "ProRes:HQ", frameRate: "25", recordResolution: {width: 3840, height: 2160}},
+        inputs: ["SDI", "HDMI"],
+        media: ["sd1", "sd2", "ssd1"],
+        unsupported: []
+    }
+};
+
+export const DEFAULT_MODEL = "Studio Camera 4K Pro";
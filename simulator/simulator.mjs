@@ -0,0 +1,110 @@
+/*      Blackmagic Camera Simulator
+
+        Runs fake cameras on your computer, so the WebUI (or your own scripts)
+        can be tested without any cameras on the bench.
+
+        Usage: node simulator/simulator.mjs [options]
+
+        --cameras <n>           Number of cameras (default 8)
+        --model <name>          Camera (or HyperDeck) model for every camera (default "Studio Camera 4K Pro")
+        --models <a,b,...>      Comma separated camera model for each camera instead
+        --port <port>           First port, camera N listens on port+N-1 (default 8081)
+                                Connect to them as localhost:8081, localhost:8082, ...
+        --shared-port <port>    Run every camera on this one port instead, picked by hostname
+                                (bmcamera1.local to bmcameraN.local, point them to 127.0.0.1 in your hosts file)
+        --list-models           Print the available camera models
+
+        (c) Dylan Speiser 2024
+        github.com/DylanSpeiser
+*/
+
+import { createServer } from "node:http";
+import { parseArgs } from "node:util";
+import { BMSimulatedCamera } from "./BMSimulatedCamera.mjs";
+import { CAMERA_MODELS, DEFAULT_MODEL } from "./models.mjs";
+
+const { values: options } = parseArgs({
+    options: {
+        "cameras": {type: "string", default: "8"},
+        "model": {type: "string", default: DEFAULT_MODEL},
+        "models": {type: "string"},
+        "port": {type: "string", default: "8081"},
+        "shared-port": {type: "string"},
+        "list-models": {type: "boolean", default: false}
+    }
+});
+
+if (options["list-models"]) {
+    Object.keys(CAMERA_MODELS).forEach((name) => console.log(name));
+    process.exit(0);
+}
+
+const cameraCount = parseInt(options["cameras"]);
+const modelNames = options["models"] ? options["models"].split(",").map((name) => name.trim()) : [];
+
+// Make the cameras
+let cameras = [];
+
+for (let i = 0; i < cameraCount; i++) {
+    let modelName = modelNames[i] ?? modelNames[modelNames.length - 1] ?? options["model"];
+
+    try {
+        cameras.push(new BMSimulatedCamera(`bmcamera${i+1}.local`, modelName));
+    } catch (err) {
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+// Makes an HTTP server for the cameras, pickCamera(request) chooses which one answers
+function startServer(port, pickCamera, label) {
+    let server = createServer((request, response) => {
+        let camera = pickCamera(request);
+
+        if (!camera || !camera.handleRequest(request, response)) {
+            response.writeHead(404, {"Access-Control-Allow-Origin": "*"});
+            response.end();
+        }
+    });
+
+    server.on("upgrade", (request, socket) => {
+        let camera = pickCamera(request);
+
+        if (!camera || !camera.handleUpgrade(request, socket)) {
+            socket.destroy();
+        }
+    });
+
+    server.on("error", (err) => {
+        console.error(`Couldn't start ${label} on port ${port}: ${err.message}`);
+        process.exit(1);
+    });
+
+    server.listen(port, () => console.log(`${label.padEnd(48)} http://localhost:${port}`));
+
+    return server;
+}
+
+let servers = [];
+
+if (options["shared-port"]) {
+    let port = parseInt(options["shared-port"]);
+
+    servers.push(startServer(port, (request) => {
+        let hostname = (request.headers.host || "").replace(/:\d+$/, "");
+        return cameras.find((camera) => camera.hostname == hostname);
+    }, `${cameras.length} cameras (bmcamera1-${cameras.length}.local)`));
+} else {
+    let firstPort = parseInt(options["port"]);
+
+    cameras.forEach((camera, i) => {
+        servers.push(startServer(firstPort + i, () => camera, `${camera.hostname} (${camera.modelName})`));
+    });
+}
+
+// Shut down cleanly on Ctrl+C
+process.on("SIGINT", () => {
+    cameras.forEach((camera) => camera.close());
+    servers.forEach((server) => server.close());
+    process.exit(0);
+});
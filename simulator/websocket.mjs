@@ -0,0 +1,157 @@
+/*      Blackmagic Camera Simulator
+        Minimal WebSocket server
+
+        Just enough of RFC 6455 to talk to BMDevice.js: text frames,
+        ping/pong and close. No extensions, no fragmented messages.
+
+        (c) Dylan Speiser 2024
+        github.com/DylanSpeiser
+*/
+
+import { createHash } from "node:crypto";
+
+// Magic string from the WebSocket spec, used to build the handshake reply
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Frame opcodes
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xA;
+
+// One connected client
+// Set onmessage(text) and onclose() to handle what the client does.
+export class SimulatorSocket {
+    socket;
+    open = true;
+
+    // Bytes we've received but haven't made a whole frame out of yet
+    buffer = Buffer.alloc(0);
+
+    onmessage(text) {};
+    onclose() {};
+
+    constructor(socket) {
+        this.socket = socket;
+
+        socket.on("data", (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            this.readFrames();
+        });
+
+        socket.on("close", () => this.handleClose());
+        socket.on("error", () => this.handleClose());
+    }
+
+    // Sends a string to the client in a single text frame
+    send(text) {
+        if (!this.open) return;
+
+        this.socket.write(encodeFrame(OPCODE_TEXT, Buffer.from(text)));
+    }
+
+    close() {
+        if (!this.open) return;
+
+        this.socket.write(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleClose() {
+        if (!this.open) return;
+
+        this.open = false;
+        this.onclose();
+    }
+
+    // Takes as many complete frames off the buffer as there are and handles them
+    readFrames() {
+        while (this.buffer.length >= 2) {
+            let opcode = this.buffer[0] & 0x0F;
+            let masked = (this.buffer[1] & 0x80) !== 0;
+            let length = this.buffer[1] & 0x7F;
+            let offset = 2;
+
+            if (length == 126) {
+                if (this.buffer.length < 4) return;
+                length = this.buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length == 127) {
+                if (this.buffer.length < 10) return;
+                length = Number(this.buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            let maskOffset = offset;
+            if (masked) offset += 4;
+
+            // Wait for the rest of the frame
+            if (this.buffer.length < offset + length) return;
+
+            let payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+
+            // Clients always mask their frames
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= this.buffer[maskOffset + (i % 4)];
+                }
+            }
+
+            this.buffer = this.buffer.subarray(offset + length);
+
+            if (opcode == OPCODE_TEXT) {
+                this.onmessage(payload.toString("utf8"));
+            } else if (opcode == OPCODE_PING) {
+                this.socket.write(encodeFrame(OPCODE_PONG, payload));
+            } else if (opcode == OPCODE_CLOSE) {
+                this.close();
+                return;
+            }
+        }
+    }
+}
+
+// Answers an HTTP upgrade request, returns the SimulatorSocket (or null if the request was bad)
+export function acceptWebSocket(request, socket) {
+    let key = request.headers["sec-websocket-key"];
+
+    if (!key || request.headers["upgrade"]?.toLowerCase() !== "websocket") {
+        socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+        return null;
+    }
+
+    let acceptKey = createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64");
+
+    socket.write(
+        "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        "Sec-WebSocket-Accept: " + acceptKey + "\r\n\r\n"
+    );
+
+    return new SimulatorSocket(socket);
+}
+
+// Builds an unmasked frame (servers never mask)
+function encodeFrame(opcode, payload) {
+    let header;
+
+    if (payload.length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = payload.length;
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+
+    // FIN bit + opcode
+    header[0] = 0x80 | opcode;
+
+    return Buffer.concat([header, payload]);
+}
@@ -0,0 +1,139 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BMChangeHistory } from "../BMDevice.mjs";
+
+// Just enough of a BMDevice for the history: it takes every value it's sent, unless it's told to refuse them
+function fakeDevice(propertyData) {
+    return {
+        propertyData: propertyData,
+        refuse: false,
+        sent: [],
+
+        PUTdata(endpoint, data) {
+            this.sent.push([endpoint, data]);
+            if (this.refuse) return Promise.reject(new Error("Value rejected"));
+
+            this.propertyData[endpoint] = Object.assign({}, this.propertyData[endpoint], data);
+            return Promise.resolve();
+        },
+
+        queuePUTdata(endpoint, data) {
+            return this.PUTdata(endpoint, data);
+        }
+    };
+}
+
+test("changes to the same endpoint in a row are merged into one entry", () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}});
+
+    history.record(camera, "/video/gain", {gain: 6});
+    history.record(camera, "/video/gain", {gain: 12});
+
+    assert.equal(history.undoStack.length, 1);
+    assert.deepEqual(history.undoStack[0].changes[0].before, {gain: 0});
+    assert.deepEqual(history.undoStack[0].changes[0].after, {gain: 12});
+});
+
+test("changes further apart than the merge window aren't merged", () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}});
+
+    history.mergeWindow = 0;
+    history.record(camera, "/video/gain", {gain: 6});
+    history.record(camera, "/video/gain", {gain: 12});
+
+    assert.equal(history.undoStack.length, 2);
+});
+
+test("changes to different endpoints are separate entries", () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}, "/video/iso": {iso: 400}});
+
+    history.record(camera, "/video/gain", {gain: 6});
+    history.record(camera, "/video/iso", {iso: 800});
+
+    assert.equal(history.undoStack.length, 2);
+});
+
+test("fields without a known value and ignored endpoints aren't recorded", () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}, "/transports/0/record": {recording: false}});
+
+    history.record(camera, "/video/iso", {iso: 800});
+    history.record(camera, "/transports/0/record", {recording: true});
+
+    assert.equal(history.undoStack.length, 0);
+});
+
+test("changes between beginGroup and endGroup are one entry", () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}, "/video/iso": {iso: 400}});
+
+    history.beginGroup("Exposure");
+    history.record(camera, "/video/gain", {gain: 6});
+    history.beginGroup("Nested");
+    history.record(camera, "/video/iso", {iso: 800});
+    history.endGroup();
+    history.endGroup();
+    history.record(camera, "/video/iso", {iso: 1600});
+
+    assert.equal(history.undoStack.length, 2);
+    assert.equal(history.undoStack[0].label, "Exposure");
+    assert.equal(history.undoStack[0].changes.length, 2);
+});
+
+test("undo and redo wait for an async group to finish", async () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}});
+    let finish;
+
+    history.record(camera, "/video/gain", {gain: 6});
+
+    let grouped = history.group("Slow", (group) => new Promise((resolve) => {
+        finish = resolve;
+    }));
+
+    assert.equal(history.canUndo, false);
+    await assert.rejects(history.undo());
+
+    finish();
+    await grouped;
+
+    assert.equal(history.canUndo, true);
+});
+
+test("undo sends the before values and redo sends the after values again", async () => {
+    let history = new BMChangeHistory();
+    let camera = fakeDevice({"/video/gain": {gain: 0}});
+
+    history.record(camera, "/video/gain", {gain: 6});
+    camera.propertyData["/video/gain"] = {gain: 6};
+
+    await history.undo();
+    assert.deepEqual(camera.propertyData["/video/gain"], {gain: 0});
+    assert.equal(history.undoStack.length, 0);
+    assert.equal(history.redoStack.length, 1);
+
+    await history.redo();
+    assert.deepEqual(camera.propertyData["/video/gain"], {gain: 6});
+    assert.equal(history.undoStack.length, 1);
+});
+
+test("changes a device refuses stay on the stack to try again", async () => {
+    let history = new BMChangeHistory();
+    let cam1 = fakeDevice({"/video/gain": {gain: 0}});
+    let cam2 = fakeDevice({"/video/gain": {gain: 0}});
+
+    history.beginGroup("Gang /video/gain");
+    history.record(cam1, "/video/gain", {gain: 6});
+    history.record(cam2, "/video/gain", {gain: 6});
+    history.endGroup();
+
+    cam2.refuse = true;
+    await assert.rejects(history.undo());
+
+    assert.deepEqual(history.undoStack[0].changes.map((change) => change.device), [cam2]);
+    assert.deepEqual(history.redoStack[0].changes.map((change) => change.device), [cam1]);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BMSchemaError, capturePreset, parsePreset } from "../BMDevice.mjs";
+
+test("version 1 presets from Save are migrated", () => {
+    let preset = parsePreset({
+        name: "Stage",
+        timestamp: "2024-05-01T12:00:00.000Z",
+        settings: {
+            gain: {gain: 6},
+            whiteBalance: {value: 4300, tint: 5},
+            color: {hue: 0.1, saturation: 1.2, lumaContribution: 0.8},
+            colorCorrection: {lift: {red: 0.1, green: 0, blue: 0, luma: 0}}
+        }
+    });
+
+    assert.equal(preset.version, 2);
+    assert.equal(preset.name, "Stage");
+    assert.equal(preset.timestamp, "2024-05-01T12:00:00.000Z");
+    assert.deepEqual(preset.settings, {
+        "/video/gain": {gain: 6},
+        "/video/whiteBalance": {whiteBalance: 4300},
+        "/video/whiteBalanceTint": {whiteBalanceTint: 5},
+        "/colorCorrection/lift": {red: 0.1, green: 0, blue: 0, luma: 0},
+        "/colorCorrection/color": {hue: 0.1, saturation: 1.2},
+        "/colorCorrection/lumaContribution": {lumaContribution: 0.8}
+    });
+});
+
+test("version 1 presets that are just the settings are migrated", () => {
+    let preset = parsePreset({whiteBalance: {whiteBalance: 5600}, lumaContribution: {lumaContribution: 1}});
+
+    assert.deepEqual(preset.settings, {
+        "/video/whiteBalance": {whiteBalance: 5600},
+        "/colorCorrection/lumaContribution": {lumaContribution: 1}
+    });
+});
+
+test("fields that aren't part of a preset are dropped and numbers are clamped", () => {
+    let preset = parsePreset({version: 2, settings: {
+        "/lens/iris": {apertureStop: 4, apertureNumber: 1200},
+        "/video/gain": {gain: 100},
+        "/video/format": {codec: "BRaw:Q0"}
+    }});
+
+    assert.deepEqual(preset.settings, {"/lens/iris": {apertureStop: 4}, "/video/gain": {gain: 36}});
+});
+
+test("captured presets parse back to the same settings", () => {
+    let camera = {propertyData: {
+        "/video/gain": {gain: 12},
+        "/video/whiteBalance": {whiteBalance: 3200},
+        "/lens/iris": {apertureStop: 2.8, normalised: 0.2, apertureNumber: 100}
+    }};
+    let preset = capturePreset(camera, "Captured");
+
+    assert.deepEqual(parsePreset(JSON.parse(JSON.stringify(preset))).settings, preset.settings);
+    assert.deepEqual(preset.settings["/lens/iris"], {apertureStop: 2.8});
+});
+
+test("presets from a newer version throw a RangeError", () => {
+    assert.throws(() => parsePreset({version: 3, settings: {"/video/gain": {gain: 6}}}), RangeError);
+});
+
+test("things that aren't presets throw", () => {
+    assert.throws(() => parsePreset(null), /Not a preset/);
+    assert.throws(() => parsePreset([]), /Not a preset/);
+    assert.throws(() => parsePreset({version: "2"}), /Not a preset/);
+    assert.throws(() => parsePreset({version: 2}), /no settings/);
+    assert.throws(() => parsePreset({version: 2, settings: {"/video/format": {codec: "BRaw:Q0"}}}), /doesn't have any settings/);
+});
+
+test("malformed values throw a BMSchemaError", () => {
+    assert.throws(() => parsePreset({version: 2, settings: {"/video/gain": {gain: "high"}}}), BMSchemaError);
+});
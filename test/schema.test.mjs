@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BMSchemaError, validatePayload } from "../BMDevice.mjs";
+
+test("numbers are clamped to the field's range", () => {
+    assert.deepEqual(validatePayload("/video/gain", {gain: 100}), {gain: 36});
+    assert.deepEqual(validatePayload("/video/gain", {gain: -40}), {gain: -12});
+    assert.deepEqual(validatePayload("/lens/iris", {normalised: 1.5}), {normalised: 1});
+});
+
+test("integers are rounded", () => {
+    assert.deepEqual(validatePayload("/video/gain", {gain: 6.4}), {gain: 6});
+});
+
+test("numbers are rounded to the field's step, then clamped", () => {
+    assert.deepEqual(validatePayload("/video/ndFilter", {stop: 2.9}), {stop: 2});
+    assert.deepEqual(validatePayload("/video/ndFilter", {stop: 3.1}), {stop: 4});
+    assert.deepEqual(validatePayload("/video/ndFilter", {stop: 9}), {stop: 6});
+});
+
+test("fields inside objects are clamped too", () => {
+    assert.deepEqual(validatePayload("/colorCorrection/lift", {red: 3, luma: -0.5}), {red: 2, luma: -0.5});
+});
+
+test("floating point leftovers are rounded off", () => {
+    assert.equal(validatePayload("/lens/iris", {normalised: 0.1 + 0.2}).normalised, 0.3);
+});
+
+test("the data passed in isn't changed", () => {
+    let data = {gain: 100};
+    validatePayload("/video/gain", data);
+    assert.deepEqual(data, {gain: 100});
+});
+
+test("malformed data throws a BMSchemaError", () => {
+    assert.throws(() => validatePayload("/video/gain", {gain: "6"}), BMSchemaError);
+    assert.throws(() => validatePayload("/video/gain", {gain: NaN}), BMSchemaError);
+    assert.throws(() => validatePayload("/video/gain", {iso: 400}), BMSchemaError);
+    assert.throws(() => validatePayload("/video/gain", {}), BMSchemaError);
+    assert.throws(() => validatePayload("/video/gain", null), BMSchemaError);
+});
+
+test("endpoints not in the schema pass through unless strict", () => {
+    let data = {anything: "goes"};
+    assert.equal(validatePayload("/not/an/endpoint", data), data);
+    assert.throws(() => validatePayload("/not/an/endpoint", data, true), BMSchemaError);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { BMTimecode } from "../BMDevice.mjs";
+
+test("reads the BCD number the device reports", () => {
+    let timecode = BMTimecode.fromBCD(0x01020304, 25);
+
+    assert.equal(timecode.toString(), "01:02:03:04");
+    assert.equal(timecode.totalFrames, ((1 * 60 + 2) * 60 + 3) * 25 + 4);
+    assert.equal(timecode.dropFrame, false);
+});
+
+test("the top bit of the BCD number is drop frame", () => {
+    let timecode = BMTimecode.fromBCD((0x80000000 | 0x00010002) >>> 0, 29.97);
+
+    assert.equal(timecode.dropFrame, true);
+    assert.equal(timecode.toString(), "00:01:00;02");
+    assert.equal(timecode.totalFrames, 1800);
+});
+
+test("toBCD gives back the number it was read from", () => {
+    for (let [bcd, frameRate] of [[0x23595924, 25], [0x10000000, 24], [(0x80000000 | 0x00095929) >>> 0, 29.97], [(0x80000000 | 0x00100000) >>> 0, 59.94]]) {
+        assert.equal(BMTimecode.fromBCD(bcd, frameRate).toBCD(), bcd);
+    }
+});
+
+test("drop frame skips two frame numbers a minute, except every tenth minute", () => {
+    assert.equal(new BMTimecode(1799, 29.97, true).toString(), "00:00:59;29");
+    assert.equal(new BMTimecode(1800, 29.97, true).toString(), "00:01:00;02");
+    assert.equal(new BMTimecode(17981, 29.97, true).toString(), "00:09:59;29");
+    assert.equal(new BMTimecode(17982, 29.97, true).toString(), "00:10:00;00");
+    assert.equal(new BMTimecode(107892, 29.97, true).toString(), "01:00:00;00");
+});
+
+test("59.94 drop frame skips four frame numbers", () => {
+    assert.equal(new BMTimecode(3600, 59.94, true).toString(), "00:01:00;04");
+    assert.equal(BMTimecode.parse("00:01:00;04", 59.94).totalFrames, 3600);
+});
+
+test("drop frame only applies to 29.97 and 59.94", () => {
+    assert.equal(new BMTimecode(1800, 30, true).dropFrame, false);
+    assert.equal(new BMTimecode(1800, 25, true).toString(), "00:01:12:00");
+});
+
+test("parses timecodes, with leading fields left out", () => {
+    assert.equal(BMTimecode.parse("01:00:00:00", 25).totalFrames, 90000);
+    assert.equal(BMTimecode.parse("10:00", 25).totalFrames, 250);
+    assert.equal(BMTimecode.parse("00:10:00;00", 29.97).totalFrames, 17982);
+    assert.equal(BMTimecode.parse("00:10:00;00", 29.97).dropFrame, true);
+});
+
+test("throws a RangeError for things that aren't timecodes", () => {
+    assert.throws(() => BMTimecode.parse("nope", 25), RangeError);
+    assert.throws(() => BMTimecode.parse("00:00:00:25", 25), RangeError);
+    assert.throws(() => BMTimecode.parse("00:60:00:00", 25), RangeError);
+});
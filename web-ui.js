@@ -29,16 +29,16 @@ function bodyOnLoad() {
 
 // Checks the hostname, if it replies successfully then a new BMCamera object
 //  is made and gets put in the array at ind
-function initCamera() {
+async function initCamera() {
     // Get hostname from Hostname text field
     let hostname = document.getElementById("hostnameInput").value;
     let security = document.getElementById("secureCheckbox").checked;
 
     try {
         // Check if the hostname is valid
-        let response = sendRequest("GET", (security ? "https://" : "http://")+hostname+"/control/api/v1/system","");
+        let response = await sendRequest("GET", (security ? "https://" : "http://")+hostname+"/control/api/v1/system");
 
-        if (response.status < 300) {
+        if (response.ok) {
             // Success, make a new camera, get all relevant info, and populate the UI
             cameras[ci] = new BMCamera(hostname, security);
             // Save camera hostname and security status in local storage
@@ -58,7 +58,7 @@ function initCamera() {
     } catch (error) {
         // Something has gone wrong, tell the user
         document.getElementById("connectionErrorSpan").title = error;
-        document.getElementById("connectionErrorSpan").innerHTML = "Error "+error.code+": "+error.name+" (Your hostname is probably incorrect, hover for more details)";
+        document.getElementById("connectionErrorSpan").innerHTML = "Error: "+(error.reason ?? error.name)+" (Your hostname is probably incorrect, hover for more details)";
     }
 
     unsavedChanges = unsavedChanges.filter((e) => {return e !== "Hostname"});
@@ -117,7 +117,7 @@ function updateUIAll() {
 
     // ========== Timecode ==========
 
-    document.getElementById("timecodeLabel").innerHTML = parseTimecode(cameras[ci].propertyData['/transports/0/timecode']?.timecode);
+    document.getElementById("timecodeLabel").innerHTML = cameras[ci].timecode.toString();
 
     // ========== Presets Dropdown ==========
 
@@ -380,7 +380,7 @@ function swapWBMode() {
 }
 
 // Triggered by the button by those text boxes. Reads the info from the inputs and sends it to the camera.
-function manualAPICall() {
+async function manualAPICall() {
     const requestRadioGET = document.getElementById("requestTypeGET");
 
     const requestEndpointText = document.getElementById("manualRequestEndpointLabel").value;
@@ -395,9 +395,13 @@ function manualAPICall() {
     const requestMethod = (requestRadioGET.checked ? "GET" : "PUT");
     const requestURL = cameras[ci].APIAddress+requestEndpointText;
 
-    let response = sendRequest(requestMethod,requestURL,requestData);
-    
-    document.getElementById("manualRequestResponseP").innerHTML = JSON.stringify(response);
+    try {
+        let response = await sendRequest(requestMethod,requestURL,requestData);
+
+        document.getElementById("manualRequestResponseP").innerHTML = JSON.stringify(response);
+    } catch (err) {
+        document.getElementById("manualRequestResponseP").innerHTML = err;
+    }
 }
 
 /*  Control Calling Functions   */
@@ -644,12 +648,3 @@ function loopHandler(callerString) {
 
     cameras[ci].PUTdata("/transports/0/playback", playbackState);
 }
-
-/*  Helper Functions   */
-function parseTimecode(timecodeBCD) {
-    let noDropFrame = timecodeBCD & 0b01111111111111111111111111111111;     // The first bit of the timecode is 1 if "Drop Frame Timecode" is on. We don't want to include that in the display.
-    let decimalTCInt = parseInt(noDropFrame.toString(16), 10);              // Convert the BCD number into base ten
-    let decimalTCString = decimalTCInt.toString().padStart(8, '0');         // Convert the base ten number to a string eight characters long
-    let finalTCString = decimalTCString.match(/.{1,2}/g).join(':');         // Put colons between every two characters
-    return finalTCString;
-}
@@ -4,40 +4,26 @@
         github.com/DylanSpeiser
 */
 
-/* Preset Configuration - Defines which settings should be included in presets */
+/* Preset Configuration - Defines which settings should be included in presets (the groups in BMPresetSettings) */
 const PRESET_CONFIG = {
-    focus: true,          // Focus settings
-    autoFocus: true,      // Auto focus settings
-    iris: true,           // Iris/aperture settings
-    gain: true,           // Gain/ISO settings
+    autoExposure: true,   // Auto exposure mode and type
+    focus: true,          // Focus position
+    iris: true,           // Iris (aperture stop)
+    gain: true,           // Gain and ISO
     shutter: true,        // Shutter speed/angle
     whiteBalance: true,   // White balance and tint
-    ndFilter: true,       // ND filter settings
-    colorCorrection: {    // Color correction settings
-        enabled: true,    // Master switch for all color correction
-        lift: true,       // Lift (shadows)
-        gamma: true,      // Gamma (midtones)
-        gain: true,       // Gain (highlights)
-        offset: true      // Offset
-    },
+    ndFilter: true,       // ND filter
+    lift: true,           // Lift (shadows)
+    gamma: true,          // Gamma (midtones)
+    colorGain: true,      // Gain (highlights)
+    offset: true,         // Offset
     contrast: true,       // Contrast settings
-    color: true,          // Color (hue, saturation, luma contribution)
-    autoExposure: true    // Auto exposure mode and settings
+    color: true           // Color (hue, saturation, luma contribution)
 };
 
-// Helper function to check if a property is available on the current camera
-function isPropertyAvailable(path) {
-    if (!cameras[ci] || !cameras[ci].propertyData) return false;
-    return cameras[ci].propertyData[path] !== undefined && 
-           cameras[ci].propertyData[path] !== null;
-}
-
-// Helper function to safely get a property value
-function getSafeProperty(path) {
-    if (isPropertyAvailable(path)) {
-        return cameras[ci].propertyData[path];
-    }
-    return null;  // Return null for unavailable properties
+// The groups of settings PRESET_CONFIG includes
+function presetGroups() {
+    return Object.keys(PRESET_CONFIG).filter((group) => PRESET_CONFIG[group]);
 }
 
 /* Global variables */
@@ -54,6 +40,13 @@ var unsavedChanges = [];
 // Variable to store copied preset
 var copiedPreset = null;
 
+// Undo/redo history shared by every camera (see BMChangeHistory)
+var changeHistory = new BMChangeHistory();
+
+// Speed set by the J/K/L keys, see transportKeyHandler()
+var shuttleSpeed = 0;
+var shuttleHoldingK = false;
+
 // Helper function to safely update element
 function safeUpdateElement(id, updateFn) {
     const element = document.getElementById(id);
@@ -81,11 +74,56 @@ function bodyOnLoad() {
     safeUpdateElement("secureCheckbox", (element) => {
         element.checked = localStorage.getItem("camerasecurity_"+ci.toString()) === 'true';
     });
+
+    presetLibrary = loadPresetLibrary();
+
+    changeHistory.historyChanged = renderHistory;
+
+    // Ctrl+Z to undo, Ctrl+Shift+Z or Ctrl+Y to redo (Cmd on a Mac)
+    document.addEventListener("keydown", historyKeyHandler);
+
+    // J/K/L shuttle and arrow keys to jog
+    document.addEventListener("keydown", transportKeyHandler);
+    document.addEventListener("keyup", (event) => {
+        if (event.key.toLowerCase() === "k") shuttleHoldingK = false;
+    });
+
+    // Esc stops every focus pull and lens ramp on every camera where it is
+    document.addEventListener("keydown", (event) => {
+        if (event.key === "Escape") cameras.forEach((camera) => camera?.stopAllRamps());
+    });
+
+    // Most controls don't wait for their requests, so show values we refused to send
+    //  (see BMEndpointSchema) and requests that failed (see BMApiError) in the footer instead of losing them
+    window.addEventListener("unhandledrejection", (event) => {
+        let message;
+
+        if (event.reason instanceof BMSchemaError) {
+            message = "Not sent: " + event.reason.message;
+        } else if (event.reason instanceof BMApiError) {
+            message = {
+                offline: "Camera offline",
+                timeout: "Camera not responding",
+                unsupported: "Not supported on this camera",
+                rejected: "Value rejected by camera"
+            }[event.reason.reason] ?? "Camera error";
+            message += ": " + event.reason.method + " " + event.reason.endpoint;
+        }
+
+        if (message) {
+            // Only these are ours to handle, anything else still reaches the console as usual
+            event.preventDefault();
+
+            safeUpdateElement("requestStatusSpan", (element) => {
+                element.textContent = message;
+            });
+        }
+    });
 }
 
-// Checks the hostname, if it replies successfully then a new BMCamera object
+// Checks the hostname, if it replies successfully then a new BMCamera (or BMHyperDeck) object
 //  is made and gets put in the array at ind
-function initCamera() {
+async function initCamera() {
     let hostname = "";
     let security = false;
     
@@ -97,18 +135,17 @@ function initCamera() {
         security = element.checked;
     });
 
+    // Remember which tab we're connecting, the user may switch tabs while we wait
+    let index = ci;
+
     try {
         // Check if the hostname is valid
-        let response = sendRequest("GET", (security ? "https://" : "http://")+hostname+"/control/api/v1/system","");
+        let response = await sendRequest("GET", (security ? "https://" : "http://")+hostname+"/control/api/v1/system");
 
-        if (response.status < 300) {
+        if (response.ok) {
             // Success, make a new camera, get all relevant info, and populate the UI
-            cameras[ci] = new BMCamera(hostname, security);
-            // Save camera hostname and security status in local storage
-            localStorage.setItem("camerahostname_"+ci, hostname);
-            localStorage.setItem("camerasecurity_"+ci, security);
-            cameras[ci].updateUI = updateUIAll;
-            cameras[ci].active = true;
+            let deviceClass = await detectDeviceClass((security ? "https://" : "http://")+hostname);
+            addCamera(index, hostname, security, deviceClass);
 
             safeUpdateElement("connectionErrorSpan", (element) => {
                 element.innerHTML = "Connected.";
@@ -122,57 +159,106 @@ function initCamera() {
     } catch (error) {
         safeUpdateElement("connectionErrorSpan", (element) => {
             element.title = error;
-            element.innerHTML = `Error ${error.code}: ${error.name} (Your hostname is probably incorrect, hover for more details)`;
+            element.innerHTML = `Error: ${error.reason ?? error.name} (Your hostname is probably incorrect, hover for more details)`;
         });
     }
 
     unsavedChanges = unsavedChanges.filter((e) => {return e !== "Hostname"});
 }
 
+// Asks the device what it is, resolves to BMHyperDeck for HyperDecks and BMCamera for everything else
+async function detectDeviceClass(baseURL) {
+    try {
+        let response = await sendRequest("GET", baseURL+"/control/api/v1/system/product");
+
+        if (response.ok && response.data?.productName?.includes("HyperDeck")) {
+            return BMHyperDeck;
+        }
+    } catch (error) {
+        // Older firmware may not have /system/product, assume it's a camera
+    }
+
+    return BMCamera;
+}
+
+// Makes a new BMCamera (or deviceClass) object on tab index and hooks it up to the UI
+function addCamera(index, hostname, security, deviceClass=BMCamera) {
+    // Close the old connection on this tab, if there was one
+    cameras[index]?.disconnect();
+
+    cameras[index] = new deviceClass(hostname, security);
+    cameras[index].changeHistory = changeHistory;
+
+    if (cameras[index] instanceof BMCamera) {
+        cameras[index].autoIncrementTake = autoIncrementTake;
+        loadFocusMarks(cameras[index]);
+    }
+
+    // Save camera hostname and security status in local storage
+    localStorage.setItem("camerahostname_"+index, hostname);
+    localStorage.setItem("camerasecurity_"+index, security);
+
+    // Only redraw the controls for the camera that's on screen
+    cameras[index].on("change", () => {
+        if (index == ci) scheduleUIUpdate();
+        scheduleGridUpdate();
+        scheduleMatchPreview();
+    });
+
+    cameras[index].connectionStateChanged = updateCameraSwitchLabels;
+    cameras[index].on("health", updateCameraSwitchLabels);
+    cameras[index].on("disconnected", () => cameraDroppedOut(index));
+    cameras[index].on("connected", () => cameraReconnected(index));
+    cameras[index].active = (index == ci);
+
+    cameraReconnected(index);
+
+    // Decks need their clip list and cameras their supported formats, neither is sent over the WebSocket
+    if (cameras[index] instanceof BMHyperDeck) {
+        cameras[index].ready.then(() => refreshDeckClips(index), () => {});
+    } else {
+        cameras[index].ready.then(() => refreshSupportedFormats(index), () => {});
+    }
+}
+
 // Automatically connects to all 8 Bones cameras (bmcamera1.local to bmcamera8.local)
-function connectBonesCameras() {
+// All cameras are tried at the same time, so one slow camera doesn't hold up the others
+async function connectBonesCameras() {
     let security = document.getElementById("secureCheckbox").checked;
-    let currentCi = ci; // Save current camera index
-    let successCount = 0;
 
     console.log('Starting connection process to all Bones cameras...');
     console.log(`HTTPS ${security ? 'enabled' : 'disabled'}`);
 
-    // Try to connect to each camera
-    for (let i = 0; i < 8; i++) {
-        ci = i; // Set camera index
+    // Try to connect to a single camera, resolves to true if it worked
+    async function connectBonesCamera(i) {
         let hostname = `bmcamera${i+1}.local`;
         console.log(`[Camera ${i+1}] Attempting to connect to ${hostname}...`);
 
         try {
             // Check if the hostname is valid
-            let response = sendRequest("GET", (security ? "https://" : "http://")+hostname+"/control/api/v1/system","");
+            let response = await sendRequest("GET", (security ? "https://" : "http://")+hostname+"/control/api/v1/system");
 
-            if (response.status < 300) {
+            if (response.ok) {
                 // Success, make a new camera, get all relevant info, and populate the UI
-                cameras[i] = new BMCamera(hostname, security);
-                // Save camera hostname and security status in local storage
-                localStorage.setItem("camerahostname_"+i, hostname);
-                localStorage.setItem("camerasecurity_"+i, security);
-                cameras[i].updateUI = updateUIAll;
-                cameras[i].active = true;
-                successCount++;
+                addCamera(i, hostname, security);
                 console.log(`[Camera ${i+1}] Successfully connected to ${hostname}`);
-                console.log(`[Camera ${i+1}] Camera info:`, response);
+                return true;
             } else {
                 console.log(`[Camera ${i+1}] Failed to connect to ${hostname} - Status: ${response.status} ${response.statusText}`);
-                document.getElementById("connectionErrorSpan").title = error;
                 document.getElementById("connectionErrorSpan").innerHTML = response.statusText;
             }
         } catch (error) {
             console.log(`[Camera ${i+1}] Failed to connect to ${hostname}:`, error);
             document.getElementById("connectionErrorSpan").title = error;
-            document.getElementById("connectionErrorSpan").innerHTML = `Error ${error.code}: ${error.name} (Your hostname is probably incorrect, hover for more details)`;
+            document.getElementById("connectionErrorSpan").innerHTML = `Error: ${error.reason ?? error.name} (Your hostname is probably incorrect, hover for more details)`;
         }
+
+        return false;
     }
 
-    // Restore original camera index and update UI
-    ci = currentCi;
+    let results = await Promise.all([0, 1, 2, 3, 4, 5, 6, 7].map(connectBonesCamera));
+    let successCount = results.filter(Boolean).length;
+
     console.log(`\nConnection process completed.\nSuccessfully connected to ${successCount} out of 8 cameras.`);
     
     if (successCount > 0) {
@@ -182,488 +268,1437 @@ function connectBonesCameras() {
 }
 
 // =============================== Presets Handler ================================
+// Presets are made by capturePreset, checked (and migrated from older files) by parsePreset
+//  and sent by applyPreset, all driven by the BMPresetSettings table in BMDevice.js
+
+function setPresetStatus(message, isError=false) {
+    safeUpdateElement("presetStatusSpan", (element) => {
+        element.textContent = message;
+        element.style.color = isError ? "#ff0000" : "#6e6e6e";
+    });
+}
+
+// Downloads an object as a JSON file
+function downloadJSON(object, fileName) {
+    // Create a Blob containing the data
+    const blob = new Blob([JSON.stringify(object, null, 2)], {
+        type: 'application/json'
+    });
+
+    // Create a download link and trigger it
+    const downloadLink = document.createElement('a');
+    downloadLink.href = URL.createObjectURL(blob);
+    downloadLink.download = fileName;
+    document.body.appendChild(downloadLink);
+    downloadLink.click();
+    document.body.removeChild(downloadLink);
+    URL.revokeObjectURL(downloadLink.href);
+}
 
-// Saves current camera settings as a preset
-async function savePreset() {
+// The camera presets are saved from and applied to, or null (saying so in the footer) if there isn't an active one
+function presetCamera() {
     if (!cameras[ci] || !cameras[ci].active) {
-        alert('No active camera selected!');
-        return;
+        setPresetStatus("Error: No active camera selected", true);
+        return null;
     }
 
+    return cameras[ci];
+}
+
+// Saves current camera settings as a preset file
+function savePreset() {
+    const cam = presetCamera();
+    if (!cam) return;
+
     const presetName = document.getElementById('presetNameInput').value.trim();
     if (!presetName) {
-        alert('Please enter a preset name!');
+        setPresetStatus("Error: Enter a preset name to save it", true);
         return;
     }
 
-    // Get current camera settings based on configuration
-    const settings = {};
-    const cam = cameras[ci];
-    
-    // Helper function to safely get data from an endpoint
-    function safeGETdata(endpoint) {
-        try {
-            const data = cam.GETdata(endpoint);
-            if (data && data.status !== 404) {
-                return data;
-            }
-        } catch (error) {
-            console.log(`Endpoint ${endpoint} not available:`, error);
-        }
-        return null;
-    }
-    
-    // Video settings
-    if (PRESET_CONFIG.focus) {
-        const focusData = safeGETdata('/lens/focus');
-        if (focusData) settings.focus = focusData;
-    }
-    if (PRESET_CONFIG.autoFocus) {
-        const autoFocusData = safeGETdata('/lens/autoFocus');
-        if (autoFocusData) settings.autoFocus = autoFocusData;
-    }
-    if (PRESET_CONFIG.iris) {
-        const irisData = safeGETdata('/lens/aperture');
-        if (irisData) settings.iris = irisData;
-    }
-    if (PRESET_CONFIG.gain) {
-        const gainData = safeGETdata('/video/gain');
-        if (gainData) settings.gain = gainData;
-    }
-    if (PRESET_CONFIG.shutter) {
-        const shutterData = safeGETdata('/video/shutter');
-        if (shutterData) settings.shutter = shutterData;
-    }
-    if (PRESET_CONFIG.whiteBalance) {
-        const wbData = safeGETdata('/video/whiteBalance');
-        const wbTintData = safeGETdata('/video/whiteBalanceTint');
-        if (wbData && wbTintData) {
-            settings.whiteBalance = {
-                value: wbData.whiteBalance,
-                tint: wbTintData.whiteBalanceTint
-            };
-        }
-    }
-    if (PRESET_CONFIG.ndFilter) {
-        const ndData = safeGETdata('/video/ndFilter');
-        if (ndData) settings.ndFilter = ndData;
+    const preset = capturePreset(cam, presetName, presetGroups());
+    if (Object.keys(preset.settings).length === 0) {
+        setPresetStatus("Error: No settings were available to save", true);
+        return;
     }
 
-    // Color settings
-    if (PRESET_CONFIG.colorCorrection.enabled) {
-        settings.colorCorrection = {};
-        if (PRESET_CONFIG.colorCorrection.lift) {
-            const liftData = safeGETdata('/colorCorrection/lift');
-            if (liftData) settings.colorCorrection.lift = liftData;
-        }
-        if (PRESET_CONFIG.colorCorrection.gamma) {
-            const gammaData = safeGETdata('/colorCorrection/gamma');
-            if (gammaData) settings.colorCorrection.gamma = gammaData;
-        }
-        if (PRESET_CONFIG.colorCorrection.gain) {
-            const gainData = safeGETdata('/colorCorrection/gain');
-            if (gainData) settings.colorCorrection.gain = gainData;
-        }
-        if (PRESET_CONFIG.colorCorrection.offset) {
-            const offsetData = safeGETdata('/colorCorrection/offset');
-            if (offsetData) settings.colorCorrection.offset = offsetData;
-        }
+    try {
+        downloadJSON(preset, presetName + '.json');
+    } catch (error) {
+        setPresetStatus("Error saving preset " + presetName + ": " + error.message, true);
+        return;
     }
-    if (PRESET_CONFIG.contrast) {
-        const contrastData = safeGETdata('/colorCorrection/contrast');
-        if (contrastData) settings.contrast = contrastData;
-    }
-    if (PRESET_CONFIG.color) {
-        const colorData = safeGETdata('/colorCorrection/color');
-        const lumaData = safeGETdata('/colorCorrection/lumaContribution');
-        if (colorData && lumaData) {
-            settings.color = {
-                hue: colorData.hue,
-                saturation: colorData.saturation,
-                lumaContribution: lumaData.lumaContribution
-            };
-        }
+
+    // Clear input
+    document.getElementById('presetNameInput').value = '';
+    setPresetStatus('Saved ' + Object.keys(preset.settings).length + ' settings to ' + presetName + '.json');
+}
+
+// Copy current camera settings to memory
+function copyCurrentPreset() {
+    const cam = presetCamera();
+    if (!cam) return;
+
+    const preset = capturePreset(cam, "CAM" + (ci+1), presetGroups());
+    const settingsCopied = Object.keys(preset.settings).length;
+
+    if (settingsCopied === 0) {
+        setPresetStatus("Error: No settings were available to copy", true);
+        return;
     }
 
-    // Other settings
-    if (PRESET_CONFIG.autoExposure) {
-        settings.autoExposure = cameras[ci].GETdata('/video/autoExposure');
+    copiedPreset = preset;
+    setPresetStatus(`Copied ${settingsCopied} settings to preset`);
+}
+
+// Sends a preset to a camera, undone in one go, and says how it went
+async function applyPresetToCamera(cam, preset, label) {
+    const results = await changeHistory.group(label, (historyGroup) => applyPreset(cam, preset, presetGroups(), historyGroup));
+
+    if (results.failed.length > 0) {
+        setPresetStatus("Error applying settings: " + results.failed.map((failure) => failure.error.message).join(", "), true);
+    } else {
+        setPresetStatus("Applied " + results.applied.length + " settings"
+            + (results.skipped.length > 0 ? ", " + results.skipped.length + " not supported on " + cam.name : ""));
     }
 
-    const currentSettings = {
-        name: presetName,
-        timestamp: new Date().toISOString(),
-        settings: settings
-    };
+    scheduleUIUpdate();
+}
 
-    try {
-        // Create a Blob containing the preset data
-        const presetBlob = new Blob([JSON.stringify(currentSettings, null, 2)], {
-            type: 'application/json'
-        });
+// Paste copied settings to current camera
+async function pastePreset() {
+    const cam = presetCamera();
+    if (!cam) return;
 
-        // Create a download link and trigger it
-        const downloadLink = document.createElement('a');
-        downloadLink.href = URL.createObjectURL(presetBlob);
-        downloadLink.download = presetName + '.json';
-        document.body.appendChild(downloadLink);
-        downloadLink.click();
-        document.body.removeChild(downloadLink);
-
-        // Clear input
-        document.getElementById('presetNameInput').value = '';
-        console.log('Preset saved successfully:', presetName);
-    } catch (error) {
-        console.error('Error saving preset:', error);
-        alert('Failed to save preset: ' + error.message);
+    if (!copiedPreset) {
+        setPresetStatus("Error: No settings copied yet", true);
+        return;
     }
+
+    await applyPresetToCamera(cam, copiedPreset, 'Paste settings to CAM' + (ci+1));
 }
 
-// Load preset from a file
-// Copy current camera settings to memory
-function copyCurrentPreset() {
-    if (!cameras[ci] || !cameras[ci].active) {
-        console.warn('No active camera selected');
-        safeUpdateElement("presetStatusSpan", (element) => {
-            element.innerHTML = "Error: No active camera selected";
-            element.style.color = "#ff0000";
-        });
+// Load a preset file (older ones are migrated) and apply it to the current camera
+async function loadPresetFile(file) {
+    // Nothing picked
+    if (!file) return;
+
+    // Keep hold of the camera, the user may switch tabs while the file is read
+    const cam = presetCamera();
+    if (!cam) return;
+
+    let preset;
+
+    try {
+        preset = parsePreset(JSON.parse(await file.text()));
+    } catch (error) {
+        setPresetStatus("Error loading preset " + file.name + ": " + error.message, true);
         return;
     }
-    
+
+    await applyPresetToCamera(cam, preset, 'Load preset ' + (preset.name || file.name));
+}
+
+// =============================== Preset Library ===============================
+
+// Presets kept in the browser, each in a named slot for one camera (scope is its hostname) or for every camera (scope null)
+// [{name, tags: [], scope, preset, error}], saved in localStorage
+//  error is why a stored preset can't be used (like one from a newer version), those are kept as they were and can't be recalled.
+// Loaded by bodyOnLoad, so problems with it can be shown in the footer
+var presetLibrary = [];
+
+// Goes up whenever the library changes, so the preset bank knows to redraw
+var presetLibraryRevision = 0;
+
+// Reads the library back from localStorage
+// If it isn't a library at all it's moved to presetLibraryBackup, so saving the library doesn't lose it.
+function loadPresetLibrary() {
+    const stored = localStorage.getItem("presetLibrary");
+    let entries;
+
     try {
-        copiedPreset = {};
-        let settingsCopied = 0;
-        
-        // Helper function to safely add a property to the preset
-        function addToPreset(key, path) {
-            const value = getSafeProperty(path);
-            if (value !== null) {
-                // For nested objects, create them if they don't exist
-                const keys = key.split('.');
-                let current = copiedPreset;
-                
-                for (let i = 0; i < keys.length - 1; i++) {
-                    if (!current[keys[i]]) {
-                        current[keys[i]] = {};
-                    }
-                    current = current[keys[i]];
-                }
-                
-                current[keys[keys.length - 1]] = value;
-                settingsCopied++;
-                return true;
-            }
-            return false;
-        }
-        
-        // Copy all enabled settings
-        if (PRESET_CONFIG.focus) addToPreset('focus', '/lens/focus');
-        if (PRESET_CONFIG.autoFocus) addToPreset('autoFocus', '/lens/autoFocus');
-        if (PRESET_CONFIG.iris) addToPreset('iris', '/lens/iris');
-        if (PRESET_CONFIG.gain) addToPreset('gain', '/video/gain');
-        if (PRESET_CONFIG.shutter) addToPreset('shutter', '/video/shutter');
-        if (PRESET_CONFIG.whiteBalance) {
-            addToPreset('whiteBalance', '/video/whiteBalance');
-            addToPreset('whiteBalanceTint', '/video/whiteBalanceTint');
-        }
-        if (PRESET_CONFIG.ndFilter) addToPreset('ndFilter', '/video/ndFilter');
-        
-        // Handle color correction
-        if (PRESET_CONFIG.colorCorrection.enabled) {
-            if (PRESET_CONFIG.colorCorrection.lift) addToPreset('colorCorrection.lift', '/colorCorrection/lift');
-            if (PRESET_CONFIG.colorCorrection.gamma) addToPreset('colorCorrection.gamma', '/colorCorrection/gamma');
-            if (PRESET_CONFIG.colorCorrection.gain) addToPreset('colorCorrection.gain', '/colorCorrection/gain');
-            if (PRESET_CONFIG.colorCorrection.offset) addToPreset('colorCorrection.offset', '/colorCorrection/offset');
-        }
-        
-        if (PRESET_CONFIG.contrast) addToPreset('contrast', '/colorCorrection/contrast');
-        
-        if (PRESET_CONFIG.color) {
-            addToPreset('color', '/colorCorrection/color');
-            addToPreset('lumaContribution', '/colorCorrection/lumaContribution');
-        }
-        
-        if (PRESET_CONFIG.autoExposure) addToPreset('autoExposure', '/video/autoExposure');
+        entries = JSON.parse(stored) ?? [];
+    } catch (error) {
+        entries = null;
+    }
 
-        // Check if any settings were copied
-        if (settingsCopied === 0) {
-            throw new Error('No settings were available to copy');
+    if (!Array.isArray(entries)) {
+        try {
+            localStorage.setItem("presetLibraryBackup", stored);
+            localStorage.removeItem("presetLibrary");
+            setPresetStatus("Error: The stored preset library couldn't be read, it's been moved to presetLibraryBackup in the browser's storage", true);
+        } catch (error) {
+            setPresetStatus("Error: The stored preset library couldn't be read or backed up (" + error.message + "), storing a preset will replace it", true);
         }
+        return [];
+    }
 
-        console.log(`Copied ${settingsCopied} settings successfully`, copiedPreset);
-        safeUpdateElement("presetStatusSpan", (element) => {
-            element.innerHTML = `Copied ${settingsCopied} settings to preset`;
-            element.style.color = "#6e6e6e";
-        });
+    const library = entries.filter((entry) => entry && typeof entry === "object").map(libraryEntry);
+    const unusable = library.filter((entry) => entry.error).length;
 
+    if (unusable > 0) {
+        setPresetStatus("Error: " + unusable + (unusable == 1 ? " stored preset" : " stored presets") + " can't be used by this version, they're kept in the library", true);
+    }
+
+    return library;
+}
+
+// Writes the library to localStorage, returns false (saying so in the footer) if the browser wouldn't keep it
+function savePresetLibrary() {
+    presetLibraryRevision++;
+    scheduleUIUpdate();
+
+    try {
+        localStorage.setItem("presetLibrary", JSON.stringify(presetLibrary.map(({name, tags, scope, preset}) => ({name, tags, scope, preset}))));
+        return true;
     } catch (error) {
-        console.error('Error copying settings:', error);
-        safeUpdateElement("presetStatusSpan", (element) => {
-            element.innerHTML = `Error: ${error.message}`;
-            element.style.color = "#ff0000";
-        });
+        setPresetStatus("Error: Couldn't save the preset library in the browser (" + error.message + "), export it to keep it", true);
+        return false;
     }
 }
 
-// Paste copied settings to current camera
-function pastePreset() {
-    if (!cameras[ci] || !cameras[ci].active) {
-        console.warn('No active camera selected');
+// Checks a library entry (from localStorage or an imported file)
+// Entries whose preset doesn't parse keep it as it was, with the reason in error.
+function libraryEntry(entry) {
+    const fields = {
+        name: String(entry?.name || entry?.preset?.name || "Untitled"),
+        tags: Array.isArray(entry?.tags) ? entry.tags.map(String) : [],
+        scope: typeof entry?.scope === "string" ? entry.scope : null
+    };
+
+    try {
+        return Object.assign(fields, {preset: parsePreset(entry?.preset), error: null});
+    } catch (error) {
+        return Object.assign(fields, {preset: entry?.preset, error: error.message});
+    }
+}
+
+// Puts an entry in its slot, replacing the preset with the same name and scope
+function storeLibraryEntry(entry) {
+    const index = presetLibrary.findIndex((other) => other.name === entry.name && other.scope === entry.scope);
+
+    if (index >= 0) {
+        presetLibrary[index] = entry;
+    } else {
+        presetLibrary.push(entry);
+    }
+}
+
+// Turns "studio, warm ,," into ["studio", "warm"]
+function parsePresetTags(text) {
+    return text.split(",").map((tag) => tag.trim()).filter((tag) => tag);
+}
+
+// The presets for a camera: its own and the ones for every camera, matching the tag filter
+function libraryPresetsFor(device) {
+    const filter = parsePresetTags(document.getElementById("presetTagFilterInput")?.value ?? "").map((tag) => tag.toLowerCase());
+
+    return presetLibrary.filter((entry) => {
+        if (entry.scope !== null && entry.scope !== device.hostname) return false;
+
+        return filter.every((tag) => entry.tags.some((entryTag) => entryTag.toLowerCase() === tag));
+    });
+}
+
+// Stores the current camera's settings in the library under the name from the Presets panel
+function storePresetHandler() {
+    const cam = presetCamera();
+    if (!cam) return;
+
+    const name = document.getElementById("presetNameInput").value.trim();
+    if (!name) {
+        setPresetStatus("Error: Enter a preset name to store it", true);
         return;
     }
 
-    if (!copiedPreset) {
-        console.warn('No settings copied yet');
+    const preset = capturePreset(cam, name, presetGroups());
+    if (Object.keys(preset.settings).length === 0) {
+        setPresetStatus("Error: No settings were available to store", true);
+        return;
+    }
+
+    const forEveryCamera = document.getElementById("presetScopeDropDown").value === "all";
+
+    storeLibraryEntry({
+        name: name,
+        tags: parsePresetTags(document.getElementById("presetTagsInput").value),
+        scope: forEveryCamera ? null : cam.hostname,
+        preset: preset,
+        error: null
+    });
+    if (!savePresetLibrary()) return;
+
+    document.getElementById("presetNameInput").value = "";
+    setPresetStatus("Stored " + name + (forEveryCamera ? " for every camera" : " for CAM" + (ci+1)));
+}
+
+async function recallPresetHandler(entry) {
+    const cam = presetCamera();
+    if (!cam) return;
+
+    if (entry.error) {
+        setPresetStatus("Error: " + entry.name + " can't be used: " + entry.error, true);
         return;
     }
 
+    await applyPresetToCamera(cam, entry.preset, "Recall preset " + entry.name);
+}
+
+function removeLibraryPresetHandler(entry) {
+    if (!confirm("Remove " + entry.name + " from the preset library?")) return;
+
+    presetLibrary = presetLibrary.filter((other) => other !== entry);
+    savePresetLibrary();
+}
+
+// Downloads the whole library as one file
+function exportPresetLibrary() {
+    downloadJSON({presetLibrary: 1, presets: presetLibrary.map(({name, tags, scope, preset}) => ({name, tags, scope, preset}))}, "presetLibrary.json");
+    setPresetStatus("Exported " + presetLibrary.length + " presets");
+}
+
+// Adds the presets from an exported library (or a single preset file, for every camera) to the library
+async function importPresetLibrary(file) {
+    if (!file) return;
+
+    let entries;
+
     try {
-        // Helper function to safely send PUT requests
-        function safePUTdata(endpoint, data) {
-            if (!data) return;
-            try {
-                const response = cameras[ci].PUTdata(endpoint, data);
-                if (response.status >= 300) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-            } catch (error) {
-                if (error.message.includes('CORS')) {
-                    console.warn(`CORS error for ${endpoint} - expected if running locally`);
-                } else {
-                    throw error;
-                }
-            }
+        const data = JSON.parse(await file.text());
+        entries = Array.isArray(data?.presets) ? data.presets : [{preset: data}];
+    } catch (error) {
+        setPresetStatus("Error importing " + file.name + ": " + error.message, true);
+        return;
+    }
+
+    const checked = entries.map(libraryEntry);
+    const imported = checked.filter((entry) => !entry.error);
+    const refused = checked.filter((entry) => entry.error).map((entry) => entry.name + " (" + entry.error + ")");
+
+    imported.forEach(storeLibraryEntry);
+    if (!savePresetLibrary()) return;
+
+    setPresetStatus("Imported " + imported.length + " presets" + (refused.length > 0 ? ", couldn't read " + refused.join(", ") : ""), refused.length > 0);
+}
+
+// Draws a button for each preset the camera can recall, with its key values underneath
+function renderPresetBank(device) {
+    safeUpdateElement("presetBankList", el => {
+        el.innerHTML = "";
+
+        const entries = libraryPresetsFor(device);
+
+        if (entries.length == 0) {
+            el.innerHTML = "<span>" + (presetLibrary.length > 0 ? "No presets match" : "No stored presets yet") + "</span>";
         }
 
-        // Apply settings based on what was copied
-        if (copiedPreset.focus) safePUTdata('/lens/focus', copiedPreset.focus);
-        if (copiedPreset.autoFocus) safePUTdata('/lens/autoFocus', copiedPreset.autoFocus);
-        if (copiedPreset.iris) safePUTdata('/lens/iris', copiedPreset.iris);
-        if (copiedPreset.gain) safePUTdata('/video/gain', copiedPreset.gain);
-        if (copiedPreset.shutter) safePUTdata('/video/shutter', copiedPreset.shutter);
-        if (copiedPreset.whiteBalance) {
-            safePUTdata('/video/whiteBalance', copiedPreset.whiteBalance);
-            if (copiedPreset.whiteBalanceTint) {
-                safePUTdata('/video/whiteBalanceTint', copiedPreset.whiteBalanceTint);
+        entries.forEach((entry) => {
+            // The preset's settings are keyed like propertyData, so the grid's values work on them too
+            // Presets this version can't use show why instead (they're kept in case a newer WebUI can)
+            const values = entry.error ? [] : GRID_VALUES.map(([label, value]) => [label, value({propertyData: entry.preset.settings})]).filter(([label, value]) => value !== undefined);
+
+            let slotNode = document.createElement("div");
+            slotNode.className = "presetSlot" + (entry.error ? " presetSlotUnusable" : "");
+            slotNode.title = (entry.error ? entry.name + " can't be used" : "Recall " + entry.name + " on " + device.name) + (entry.tags.length > 0 ? "\nTags: " + entry.tags.join(", ") : "");
+            slotNode.onclick = () => recallPresetHandler(entry);
+
+            let headNode = document.createElement("div");
+            headNode.className = "presetSlotHead";
+            headNode.appendChild(document.createTextNode(entry.name));
+
+            let scopeNode = document.createElement("small");
+            scopeNode.textContent = entry.scope === null ? "All" : "CAM" + (ci+1);
+            headNode.appendChild(scopeNode);
+
+            let removeNode = document.createElement("button");
+            removeNode.className = "circleButton";
+            removeNode.innerHTML = "&#10005";
+            removeNode.title = "Remove " + entry.name;
+            removeNode.onclick = (event) => {
+                event.stopPropagation();
+                removeLibraryPresetHandler(entry);
+            };
+            headNode.appendChild(removeNode);
+
+            let valuesNode = document.createElement("div");
+            valuesNode.className = "gridStripValues";
+            values.forEach(([label, value]) => {
+                let labelNode = document.createElement("small");
+                labelNode.textContent = label;
+
+                let valueNode = document.createElement("span");
+                valueNode.textContent = value;
+
+                let pairNode = document.createElement("span");
+                pairNode.appendChild(labelNode);
+                pairNode.appendChild(valueNode);
+                valuesNode.appendChild(pairNode);
+            });
+
+            slotNode.appendChild(headNode);
+            slotNode.appendChild(valuesNode);
+
+            if (entry.error) {
+                let errorNode = document.createElement("div");
+                errorNode.className = "presetSlotError";
+                errorNode.textContent = entry.error;
+                slotNode.appendChild(errorNode);
             }
-        }
-        if (copiedPreset.ndFilter) safePUTdata('/video/ndFilter', copiedPreset.ndFilter);
-        
-        if (copiedPreset.colorCorrection) {
-            const cc = copiedPreset.colorCorrection;
-            if (cc.lift) safePUTdata('/colorCorrection/lift', cc.lift);
-            if (cc.gamma) safePUTdata('/colorCorrection/gamma', cc.gamma);
-            if (cc.gain) safePUTdata('/colorCorrection/gain', cc.gain);
-            if (cc.offset) safePUTdata('/colorCorrection/offset', cc.offset);
-        }
 
-        console.log('Settings applied successfully');
-        safeUpdateElement('statusMessage', el => {
-            el.textContent = 'Settings applied successfully';
-            el.style.color = '#4CAF50';
-        });
-        
-        // Update UI after applying settings
-        setTimeout(updateUIAll, 100);
-    } catch (error) {
-        console.error('Error applying settings:', error);
-        safeUpdateElement('statusMessage', el => {
-            el.textContent = 'Error applying settings: ' + error.message;
-            el.style.color = '#f44336';
+            if (entry.tags.length > 0) {
+                let tagsNode = document.createElement("div");
+                tagsNode.className = "presetSlotTags";
+                tagsNode.textContent = entry.tags.join(", ");
+                slotNode.appendChild(tagsNode);
+            }
+
+            el.appendChild(slotNode);
         });
+    });
+}
+
+// =============================== Undo / Redo ===============================
+
+function historyKeyHandler(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+
+    // Text boxes keep their own undo
+    if (event.target.closest("input[type=text], input[type=number], textarea, [contenteditable]")) return;
+
+    const key = event.key.toLowerCase();
+
+    if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        undoHandler();
+    } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        redoHandler();
     }
 }
 
-async function loadPresetFile(file) {
-    if (!file) {
-        console.warn('No file selected');
-        return;
+// Undo and redo say in the History panel if a camera refused them, or if they have to wait for a change in progress
+function undoHandler() {
+    changeHistory.undo().then(() => showHistoryError(null), showHistoryError);
+}
+
+function redoHandler() {
+    changeHistory.redo().then(() => showHistoryError(null), showHistoryError);
+}
+
+function showHistoryError(error) {
+    safeUpdateElement("historyStatusSpan", el => el.textContent = error ? error.message : "");
+    scheduleUIUpdate();
+}
+
+// Short name for a camera in the history list
+function historyCameraLabel(device) {
+    const index = cameras.indexOf(device);
+    return index >= 0 ? "CAM" + (index+1) : device.name;
+}
+
+// Turns {red: 0.1, green: 0.2} into "red 0.10, green 0.20", fields without a value are shown as "-"
+function formatHistoryValues(values) {
+    return Object.entries(values).map(([field, value]) => {
+        return field + " " + (typeof value === "number" ? parseFloat(value.toFixed(3)) : (value === undefined ? "-" : JSON.stringify(value)));
+    }).join(", ");
+}
+
+function describeHistoryEntry(entry) {
+    const cameraLabels = [...new Set(entry.changes.map((change) => historyCameraLabel(change.device)))].join(", ");
+
+    if (entry.label !== null) {
+        return cameraLabels + ": " + entry.label + " (" + entry.changes.length + (entry.changes.length == 1 ? " change)" : " changes)");
     }
-    if (!cameras[ci] || !cameras[ci].active) {
-        console.warn('No active camera selected');
+
+    const change = entry.changes[0];
+    return cameraLabels + ": " + change.endpoint + " " + formatHistoryValues(change.before) + " \u2192 " + formatHistoryValues(change.after);
+}
+
+// Draws the history list, newest first, with undone (redoable) entries greyed out
+function renderHistory() {
+    safeUpdateElement("historyList", el => {
+        el.innerHTML = "";
+
+        const entries = changeHistory.undoStack.map((entry) => ({entry: entry, undone: false}))
+            .concat(changeHistory.redoStack.map((entry) => ({entry: entry, undone: true})).reverse());
+
+        entries.reverse().forEach(({entry, undone}) => {
+            let entryNode = document.createElement("div");
+            entryNode.className = "historyEntry" + (undone ? " historyUndone" : "");
+            entryNode.appendChild(document.createTextNode(new Date(entry.time).toLocaleTimeString() + "  " + describeHistoryEntry(entry)));
+            el.appendChild(entryNode);
+        });
+    });
+
+    safeUpdateElement("undoButton", el => el.disabled = !changeHistory.canUndo);
+    safeUpdateElement("redoButton", el => el.disabled = !changeHistory.canRedo);
+}
+
+// =============================== Transport Keys ===============================
+
+// J/K/L like an editing program:
+//  L plays forwards, pressing it again doubles the speed (up to 8x)
+//  J does the same backwards
+//  K pauses, J or L while holding K steps one frame
+// Left and right arrows step one frame, one second with Shift
+function transportKeyHandler(event) {
+    if (!cameras[ci] || event.ctrlKey || event.metaKey || event.altKey) return;
+
+    // Don't steal keys from text boxes, sliders and dropdowns
+    if (event.target.closest("input, select, textarea, [contenteditable]")) return;
+
+    const key = event.key.toLowerCase();
+
+    if (key === "k") {
+        shuttleHoldingK = true;
+        shuttleSpeed = 0;
+        cameras[ci].shuttle(0);
+    } else if (key === "l" || key === "j") {
+        const direction = (key === "l") ? 1 : -1;
+
+        if (shuttleHoldingK) {
+            cameras[ci].jog(direction);
+        } else {
+            shuttleSpeed = (Math.sign(shuttleSpeed) === direction) ? Math.max(-8, Math.min(8, shuttleSpeed * 2)) : direction;
+            cameras[ci].shuttle(shuttleSpeed);
+        }
+    } else if ((key === "i" || key === "z") && cameras[ci] instanceof BMCamera) {
+        lensRampHandler(key === "i" ? "iris" : "zoom");
+    } else if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+        const frames = event.shiftKey ? Math.round(cameras[ci].frameRate) : 1;
+        cameras[ci].jog(event.key === "ArrowRight" ? frames : -frames);
+    } else {
         return;
     }
 
-    try {
-        // Helper function to safely send PUT requests
-        function safePUTdata(endpoint, data) {
-            if (!data) return;
-            try {
-                const response = cameras[ci].PUTdata(endpoint, data);
-                if (response.status >= 300) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-            } catch (error) {
-                if (error.message.includes('CORS')) {
-                    console.warn(`CORS error for ${endpoint} - expected if running locally`);
-                } else {
-                    throw error;
-                }
-            }
-        }
+    event.preventDefault();
+}
+
+async function gotoTimecodeHandler() {
+    const el = document.getElementById("gotoTimecodeInput");
+    if (!el) return;
+
+    try {
+        await cameras[ci].seekToTimecode(el.value);
+    } catch (error) {
+        // Not a timecode, or the camera wouldn't go there (so keep it to try again)
+        el.title = error.message;
+        el.style.color = "#ff0000";
+        return;
+    }
+
+    el.value = "";
+    el.title = "Type a timecode (HH:MM:SS:FF) and press Enter";
+    el.style.color = "";
+}
+
+// =============================== Timeline Handler ===============================
+
+// Draws the clips on the timeline as a table and as segments of the scrubber bar
+// Row i and segment i are clip i, clicking either cues it up
+function renderTimeline(device) {
+    const clips = device.timelineClips;
+    const length = device.timelineLength;
+    const isDeck = device instanceof BMHyperDeck;
+    const frameRate = device.frameRate;
+    const timelineStart = device.timelineStartFrame;
+
+    safeUpdateElement("timelineClipSegments", el => {
+        el.innerHTML = "";
+
+        clips.forEach((clip, i) => {
+            let segmentNode = document.createElement("div");
+            segmentNode.className = "timelineSegment";
+            segmentNode.style.width = (length > 0 ? clip.frameCount / length * 100 : 0) + "%";
+            segmentNode.title = (clip.clipName ?? "Clip " + (i+1));
+            el.appendChild(segmentNode);
+        });
+    });
+
+    safeUpdateElement("timelineClipTable", el => {
+        el.innerHTML = "";
+
+        if (clips.length == 0) {
+            el.innerHTML = "<tr><td>No clips on the timeline</td></tr>";
+        }
+
+        clips.forEach((clip, i) => {
+            let rowNode = document.createElement("tr");
+            rowNode.className = "timelineClipRow";
+            rowNode.title = "Click to cue";
+            rowNode.onclick = () => device.cueClip(i);
+
+            [
+                i + 1,
+                clip.clipName ?? clip.filePath ?? "Clip " + (i+1),
+                new BMTimecode(timelineStart + clip.startFrame, frameRate).toString(),
+                new BMTimecode(clip.frameCount, frameRate).toString()
+            ].forEach((text) => {
+                let cellNode = document.createElement("td");
+                cellNode.appendChild(document.createTextNode(text));
+                rowNode.appendChild(cellNode);
+            });
+
+            // Decks can edit their timeline
+            if (isDeck) {
+                let cellNode = document.createElement("td");
+                let buttonNode = document.createElement("button");
+                buttonNode.innerHTML = "Remove";
+                buttonNode.onclick = (event) => {
+                    event.stopPropagation();
+                    device.removeFromTimeline(i);
+                };
+                cellNode.appendChild(buttonNode);
+                rowNode.appendChild(cellNode);
+            }
+
+            el.appendChild(rowNode);
+        });
+    });
+
+    safeUpdateElement("timelineClearButton", el => el.classList.toggle("dNone", !isDeck));
+}
+
+// Clicking the scrubber bar moves the playhead there
+function timelineScrubberHandler(event) {
+    const length = cameras[ci]?.timelineLength;
+    if (!length) return;
+
+    const bounds = event.currentTarget.getBoundingClientRect();
+    const fraction = Math.min(Math.max((event.clientX - bounds.left) / bounds.width, 0), 1);
+
+    cameras[ci].seekToFrame(Math.min(Math.round(fraction * length), length - 1));
+}
+
+function timelineClearHandler() {
+    if (confirm("Remove every clip from " + cameras[ci].name + "'s timeline?")) {
+        cameras[ci].clearTimeline();
+    }
+}
+
+// =============================== HyperDeck Handler ===============================
+
+// Clips on each deck's active media, indexed like cameras[]
+// Filled in by refreshDeckClips(), the clip list is only available over HTTP
+var deckClips = [];
+
+// Fetches the clip list from a deck and redraws the UI
+async function refreshDeckClips(index=ci) {
+    if (!(cameras[index] instanceof BMHyperDeck)) return;
+
+    deckClips[index] = await cameras[index].getClips();
+
+    if (index == ci) scheduleUIUpdate();
+}
+
+// Puts a list of clips into a <select> as options, valued by clipUniqueId
+function fillDeckClipSelect(element, clips) {
+    element.innerHTML = "";
+
+    clips.forEach((clip, i) => {
+        let optionNode = document.createElement("option");
+        optionNode.value = clip.clipUniqueId;
+        optionNode.appendChild(document.createTextNode((i+1) + ". " + (clip.clipName ?? clip.filePath ?? clip.clipUniqueId)));
+        element.appendChild(optionNode);
+    });
+}
+
+// Adds the clips selected in the clips list to the end of the timeline
+function deckAddToTimelineHandler() {
+    const clipsSelect = document.getElementById("deckClipsSelect");
+    const clipIds = Array.from(clipsSelect.selectedOptions).map((option) => parseInt(option.value));
+
+    if (clipIds.length > 0) cameras[ci].addToTimeline(clipIds);
+}
+
+function deckSpeedHandler(speed) {
+    if (speed === undefined) {
+        speed = parseFloat(document.getElementById("deckSpeedInput").value);
+    }
+
+    if (!isNaN(speed)) cameras[ci].setPlaybackSpeed(speed);
+}
+
+function deckRecordClipHandler() {
+    const clipName = document.getElementById("deckClipNameInput").value.trim();
+
+    if (clipName) {
+        cameras[ci].recordClip(clipName);
+    } else {
+        cameras[ci].record();
+    }
+}
+
+// Turns seconds into H:MM:SS for the media readout
+function formatRecordTime(seconds) {
+    let hh = Math.floor(seconds / 3600);
+    let mm = Math.floor(seconds / 60) % 60;
+    let ss = Math.floor(seconds) % 60;
+
+    return hh + ":" + String(mm).padStart(2, "0") + ":" + String(ss).padStart(2, "0");
+}
+
+// =============================== Focus Pull Handler ===============================
+
+// Focus marks are kept in localStorage for each camera, by hostname
+function saveFocusMarks(device) {
+    localStorage.setItem("focusMarks_" + device.hostname, JSON.stringify(device.focusMarks));
+}
+
+function loadFocusMarks(device) {
+    try {
+        device.focusMarks = JSON.parse(localStorage.getItem("focusMarks_" + device.hostname)) ?? [];
+    } catch (error) {
+        device.focusMarks = [];
+    }
+}
+
+// The first letter no mark is called yet (A, B, C...), or a number once the alphabet is used up
+function nextFocusMarkName(device) {
+    const names = device.focusMarks.map((mark) => mark.name);
+
+    for (let code = 65; code <= 90; code++) {
+        if (!names.includes(String.fromCharCode(code))) return String.fromCharCode(code);
+    }
+
+    let number = 1;
+    while (names.includes(String(number))) number++;
+    return String(number);
+}
+
+function setFocusPullStatus(message) {
+    safeUpdateElement("focusPullStatusSpan", el => el.textContent = message);
+}
+
+// Marks the current focus position, marks without a name get the next free letter
+function focusMarkAddHandler() {
+    const nameInput = document.getElementById("focusMarkNameInput");
+    const name = nameInput.value.trim() || nextFocusMarkName(cameras[ci]);
+
+    try {
+        cameras[ci].setFocusMark(name);
+    } catch (error) {
+        setFocusPullStatus(error.message);
+        return;
+    }
+
+    saveFocusMarks(cameras[ci]);
+    setFocusPullStatus("");
+
+    nameInput.value = "";
+    scheduleUIUpdate();
+}
+
+function focusMarkRemoveHandler(name) {
+    cameras[ci].removeFocusMark(name);
+    saveFocusMarks(cameras[ci]);
+    scheduleUIUpdate();
+}
+
+// Pulls focus to a mark with the duration and easing from the Focus Pull panel
+function focusPullHandler(name) {
+    const seconds = parseFloat(document.getElementById("focusPullDurationInput").value);
+    const easing = document.getElementById("focusPullEasingDropDown").value;
+
+    setFocusPullStatus("");
+
+    cameras[ci].pullFocus(name, isNaN(seconds) ? 0 : seconds * 1000, easing)
+        .catch((error) => setFocusPullStatus(error.message))
+        .finally(scheduleUIUpdate);
+    scheduleUIUpdate();
+}
+
+// With Hold to Pull ticked, letting go of a mark's button stops the pull where it is
+function focusMarkReleaseHandler() {
+    if (document.getElementById("focusHoldToPullCheckbox").checked) cameras[ci].stopFocusPull();
+}
+
+// Draws the marks as buttons in the Focus Pull panel and as ticks next to the focus slider
+function renderFocusMarks(device) {
+    safeUpdateElement("focusMarkList", el => {
+        el.innerHTML = "";
+
+        if (device.focusMarks.length == 0) {
+            el.innerHTML = "<span>No marks yet</span>";
+        }
+
+        device.focusMarks.forEach((mark) => {
+            let buttonNode = document.createElement("button");
+            buttonNode.appendChild(document.createTextNode(mark.name + " (" + mark.normalised.toFixed(2) + ")"));
+            buttonNode.title = "Pull focus to " + mark.name;
+            buttonNode.onpointerdown = () => focusPullHandler(mark.name);
+            buttonNode.onpointerup = focusMarkReleaseHandler;
+            buttonNode.onpointerleave = focusMarkReleaseHandler;
+
+            let removeNode = document.createElement("button");
+            removeNode.className = "circleButton";
+            removeNode.innerHTML = "&#10005";
+            removeNode.title = "Remove " + mark.name;
+            removeNode.onclick = () => focusMarkRemoveHandler(mark.name);
+
+            el.appendChild(buttonNode);
+            el.appendChild(removeNode);
+        });
+    });
+
+    safeUpdateElement("focusMarkTicks", el => {
+        el.innerHTML = "";
+
+        device.focusMarks.forEach((mark) => {
+            let tickNode = document.createElement("div");
+            tickNode.className = "focusMarkTick";
+            tickNode.style.bottom = (mark.normalised * 100) + "%";
+            tickNode.appendChild(document.createTextNode(mark.name));
+            tickNode.onclick = () => focusPullHandler(mark.name);
+            el.appendChild(tickNode);
+        });
+    });
+}
+
+// =============================== Lens Ramp Handler ===============================
+
+// The cameras a lens ramp runs on: this one, or every camera with All Cameras ticked
+function lensRampTargets() {
+    if (!document.getElementById("lensRampAllCheckbox").checked) return [cameras[ci]];
+
+    return cameras.filter((camera) => camera instanceof BMCamera && camera.propertyData['/lens/iris']);
+}
+
+// Ramps the iris or zoom ("iris" or "zoom") to the target with the duration and easing from the Lens Ramps panel
+async function lensRampHandler(lensControl) {
+    const target = parseFloat(document.getElementById(lensControl + "RampTargetRange").value);
+    const seconds = parseFloat(document.getElementById("lensRampDurationInput").value);
+    const easing = document.getElementById("lensRampEasingDropDown").value;
+    const duration = isNaN(seconds) ? 0 : seconds * 1000;
+    const targets = lensRampTargets();
+
+    // Each camera's ramp is one change from where it started to the target, all in one entry in the history
+    const historyGroup = changeHistory.createGroup((lensControl == "iris" ? "Iris" : "Zoom") + " ramp to " + target.toFixed(3));
+    const ramps = Promise.allSettled(targets.map((camera) => {
+        return lensControl == "iris" ? camera.rampIris(target, duration, easing, historyGroup) : camera.rampZoom(target, duration, easing, historyGroup);
+    }));
+
+    scheduleUIUpdate();
+
+    safeUpdateElement("lensRampStatusSpan", el => el.textContent = "");
+
+    const failures = (await ramps).map((result, i) => result.status == "rejected" ? historyCameraLabel(targets[i]) + ": " + result.reason.message : null).filter(Boolean);
+    safeUpdateElement("lensRampStatusSpan", el => el.textContent = failures.join(", "));
+
+    scheduleUIUpdate();
+}
+
+// Sets a ramp's target to where the lens is now
+function lensRampCurrentHandler(lensControl) {
+    const current = cameras[ci].propertyData["/lens/" + lensControl]?.normalised;
+    if (current === undefined) return;
+
+    document.getElementById(lensControl + "RampTargetRange").value = current;
+    scheduleUIUpdate();
+}
+
+function lensRampStopHandler() {
+    cameras.forEach((camera) => camera?.stopLensRamps?.());
+    scheduleUIUpdate();
+}
+
+// =============================== Gang Handler ===============================
+
+// Cameras ticked in the camera select bar are ganged: changes made on one of them go to all of them (see BMDeviceGroup)
+var gangedCameras = new Set();
+
+// Keep Offsets mode, each ganged camera moves as much as the one on screen instead of being set to the same value
+var gangRelative = false;
+
+// The BMDeviceGroup for the ganged cameras, kept so Keep Offsets keeps the offsets they had when they were ganged
+var gangGroup = null;
+
+function gangCheckboxHandler(index, checked) {
+    if (checked) {
+        gangedCameras.add(index);
+    } else {
+        gangedCameras.delete(index);
+    }
+
+    // A new gang, so the offsets to keep are the ones the cameras have now
+    gangGroup = null;
+    currentGang();
+
+    safeUpdateElement("gangStatusSpan", el => el.textContent = "");
+}
+
+function gangModeHandler(mode) {
+    gangRelative = (mode === "relative");
+
+    // Picking Keep Offsets keeps the offsets the cameras have now
+    gangGroup?.captureOffsets();
+}
+
+// The gang the camera on screen is in, or null if it isn't ganged with any others
+function currentGang() {
+    const devices = Array.from(gangedCameras).sort((a, b) => a - b).map((i) => cameras[i]).filter(Boolean);
+
+    // Cameras that connect (or reconnect as a new object) start a new gang too
+    if (!gangGroup || devices.length != gangGroup.devices.length || devices.some((device, i) => device !== gangGroup.devices[i])) {
+        gangGroup = new BMDeviceGroup(devices, gangRelative);
+    }
+
+    gangGroup.relative = gangRelative;
+
+    return (gangedCameras.has(ci) && devices.length > 1) ? gangGroup : null;
+}
+
+// PUTdata to the camera on screen and every camera ganged with it, data is the value for the camera on screen
+// Pass relative=false for changes that should always be the same on every camera, like resets
+function gangPUTdata(endpoint, data, relative=gangRelative) {
+    const gang = currentGang();
+    if (!gang) return cameras[ci].PUTdata(endpoint, data);
+
+    // The changes are recorded as they're sent, so the group can end straight away
+    changeHistory.beginGroup("Gang " + endpoint);
+    const results = gang.set(endpoint, data, cameras[ci], relative);
+    changeHistory.endGroup();
+
+    return results.then(showGangResults);
+}
+
+// The same with queuePUTdata, for sliders
+function gangQueuePUTdata(endpoint, data) {
+    const gang = currentGang();
+    if (!gang) return cameras[ci].queuePUTdata(endpoint, data);
+
+    return gang.queueSet(endpoint, data, cameras[ci]).then(showGangResults);
+}
+
+// Stops a ramp on the camera on screen and every camera ganged with it, before a ganged slider takes over
+function gangStopRamp(endpoint, field) {
+    (currentGang()?.devices ?? [cameras[ci]]).forEach((device) => device.stopRamp(endpoint, field));
+}
+
+// Lists the cameras that refused a ganged change next to the gang controls
+function showGangResults(results) {
+    const failures = results.filter((result) => !result.ok).map((result) => historyCameraLabel(result.device) + ": " + result.error.message);
+    safeUpdateElement("gangStatusSpan", el => el.textContent = failures.join(", "));
+
+    return results;
+}
+
+// =============================== Match Handler ===============================
+
+// Names for the settings in the Match to Reference checklist (see BMMatchEndpoints)
+const MATCH_SETTING_NAMES = {
+    "/colorCorrection/lift": "Lift",
+    "/colorCorrection/gamma": "Gamma",
+    "/colorCorrection/gain": "Color Gain",
+    "/colorCorrection/offset": "Offset",
+    "/colorCorrection/contrast": "Contrast",
+    "/colorCorrection/color": "Hue/Saturation",
+    "/colorCorrection/lumaContribution": "Luma Contribution",
+    "/video/whiteBalance": "White Balance",
+    "/video/whiteBalanceTint": "Tint",
+    "/video/shutter": "Shutter",
+    "/video/gain": "Gain"
+};
+
+// Switching cameras resets the panel, so the choices are kept here
+// Every other camera is a target and every setting is matched, unless they're unticked
+var matchReference = 0;
+var matchSkippedTargets = new Set();
+var matchSkippedEndpoints = new Set();
+
+function matchReferenceHandler(value) {
+    matchReference = parseInt(value);
+    renderMatchControls();
+}
+
+function matchTargetHandler(index, checked) {
+    if (checked) {
+        matchSkippedTargets.delete(index);
+    } else {
+        matchSkippedTargets.add(index);
+    }
+
+    renderMatchPreview();
+}
+
+function matchEndpointHandler(endpoint, checked) {
+    if (checked) {
+        matchSkippedEndpoints.delete(endpoint);
+    } else {
+        matchSkippedEndpoints.add(endpoint);
+    }
+
+    renderMatchPreview();
+}
+
+// The ticked target cameras (as [index, camera]) and settings
+function matchTargets() {
+    return cameras.map((camera, i) => [i, camera])
+        .filter(([i, camera]) => camera instanceof BMCamera && i != matchReference && !matchSkippedTargets.has(i));
+}
+
+function matchEndpoints() {
+    return BMMatchEndpoints.filter((endpoint) => !matchSkippedEndpoints.has(endpoint));
+}
+
+// Adds a ticked checkbox with a label to element, onchange(checked) is called when it's clicked
+function appendMatchCheckbox(element, label, checked, onchange) {
+    let labelNode = document.createElement("label");
+    let checkboxNode = document.createElement("input");
+    checkboxNode.type = "checkbox";
+    checkboxNode.checked = checked;
+    checkboxNode.onchange = () => onchange(checkboxNode.checked);
+
+    labelNode.appendChild(checkboxNode);
+    labelNode.appendChild(document.createTextNode(label));
+    element.appendChild(labelNode);
+}
+
+// Fills the reference dropdown and the target and setting checklists
+function renderMatchControls() {
+    const connected = cameras.map((camera, i) => [i, camera]).filter(([i, camera]) => camera instanceof BMCamera);
+
+    safeUpdateElement("matchReferenceDropDown", el => {
+        el.innerHTML = "";
+        connected.forEach(([i, camera]) => {
+            let optionNode = document.createElement("option");
+            optionNode.value = i;
+            optionNode.appendChild(document.createTextNode("CAM" + (i+1)));
+            el.appendChild(optionNode);
+        });
+        el.value = matchReference;
+    });
+
+    safeUpdateElement("matchTargetList", el => {
+        el.innerHTML = "";
+        connected.filter(([i]) => i != matchReference).forEach(([i]) => {
+            appendMatchCheckbox(el, "CAM" + (i+1), !matchSkippedTargets.has(i), (checked) => matchTargetHandler(i, checked));
+        });
+    });
+
+    safeUpdateElement("matchFieldList", el => {
+        el.innerHTML = "";
+        BMMatchEndpoints.forEach((endpoint) => {
+            appendMatchCheckbox(el, MATCH_SETTING_NAMES[endpoint] ?? endpoint, !matchSkippedEndpoints.has(endpoint), (checked) => matchEndpointHandler(endpoint, checked));
+        });
+    });
+
+    renderMatchPreview();
+}
+
+// Shows what matching would change on each target, only redrawn when that changes
+function renderMatchPreview() {
+    const reference = cameras[matchReference];
+    const diffs = reference ? matchTargets().map(([i, camera]) => [i, camera.matchDiff(reference, matchEndpoints())]) : [];
+
+    safeUpdateElement("matchDiffTable", el => {
+        const key = JSON.stringify(diffs);
+        if (el.dataset.diffs === key) return;
+        el.dataset.diffs = key;
+
+        el.innerHTML = "";
+
+        if (!reference) {
+            el.innerHTML = "<tr><td>Connect the reference camera first</td></tr>";
+        }
+
+        diffs.forEach(([i, diff]) => {
+            if (diff.length == 0) {
+                el.insertRow().insertCell().textContent = "CAM" + (i+1) + " already matches";
+            }
+
+            diff.forEach((change, j) => {
+                let rowNode = el.insertRow();
+                rowNode.insertCell().textContent = (j == 0) ? "CAM" + (i+1) : "";
+                rowNode.insertCell().textContent = MATCH_SETTING_NAMES[change.endpoint] ?? change.endpoint;
+
+                let valuesNode = rowNode.insertCell();
+                valuesNode.className = "matchDiffValues";
+                valuesNode.textContent = formatHistoryValues(change.before) + " \u2192 " + formatHistoryValues(change.after);
+            });
+        });
+    });
+
+    safeUpdateElement("matchApplyButton", el => el.disabled = !diffs.some(([i, diff]) => diff.length > 0));
+}
+
+// Other cameras don't redraw the controls when they change, but they're in the preview
+var matchPreviewScheduled = false;
+
+function scheduleMatchPreview() {
+    if (matchPreviewScheduled) return;
+
+    matchPreviewScheduled = true;
+    requestAnimationFrame(() => {
+        matchPreviewScheduled = false;
+        renderMatchPreview();
+    });
+}
+
+// Copies the reference's ticked settings to every ticked target, undone together
+async function matchApplyHandler() {
+    const reference = cameras[matchReference];
+    const targets = matchTargets();
+    if (!reference || targets.length == 0) return;
+
+    changeHistory.beginGroup("Match to CAM" + (matchReference+1));
+    const matching = Promise.all(targets.map(([i, camera]) => camera.matchTo(reference, matchEndpoints())));
+    changeHistory.endGroup();
+
+    const results = await matching;
+
+    const failures = results.flatMap((cameraResults, t) => {
+        return cameraResults.filter((result) => !result.ok).map((result) => "CAM" + (targets[t][0]+1) + " " + (MATCH_SETTING_NAMES[result.endpoint] ?? result.endpoint) + ": " + result.error.message);
+    });
+
+    safeUpdateElement("matchStatusSpan", el => {
+        el.textContent = failures.length > 0 ? failures.join(", ") : "Matched " + targets.length + (targets.length == 1 ? " camera" : " cameras") + " to CAM" + (matchReference+1);
+    });
+
+    renderMatchPreview();
+}
+
+// =============================== Slate Handler ===============================
+
+// Whether cameras go on to the next take when recording stops (see BMCamera.autoIncrementTake), kept between sessions
+var autoIncrementTake = localStorage.getItem("autoIncrementTake") !== "false";
+
+// Each slate control has a data-slate attribute saying which field it is:
+//  "project.<field>" is in /slates/project, "clip.<field>" and "lens.<field>" are in /slates/nextClip
+function slateControlValue(element) {
+    if (element.type === "checkbox") return element.checked;
+    if (element.type === "number") return parseInt(element.value);
+    return element.value;
+}
+
+// Sends one slate control's value to the camera
+function slateInputHandler(element) {
+    const [group, field] = element.dataset.slate.split(".");
+    const value = slateControlValue(element);
+
+    unsavedChanges = unsavedChanges.filter((e) => e !== "Slate");
+
+    if (Number.isNaN(value)) return;
+
+    if (group === "project") {
+        cameras[ci].setProjectSlate({[field]: value});
+    } else {
+        cameras[ci].setNextClipSlate({[group]: {[field]: value}});
+    }
+}
+
+// Sets the project name and director from the slate controls on every camera
+// Camera ID and operator are different on every camera, so they're left alone.
+async function slateProjectToAllHandler() {
+    const project = {
+        projectName: document.getElementById("slateProjectNameInput").value,
+        director: document.getElementById("slateDirectorInput").value
+    };
+
+    const targets = cameras.filter((camera) => camera instanceof BMCamera && camera.propertyData['/slates/project']);
+
+    unsavedChanges = unsavedChanges.filter((e) => e !== "Slate");
+
+    const results = await changeHistory.group("Project " + project.projectName, () => {
+        return Promise.allSettled(targets.map((camera) => camera.setProjectSlate(project)));
+    });
+
+    const failures = results.map((result, i) => result.status == "rejected" ? historyCameraLabel(targets[i]) + ": " + result.reason.message : null).filter(Boolean);
+
+    safeUpdateElement("slateStatusSpan", el => {
+        el.textContent = failures.length > 0 ? failures.join(", ") : "Project set on " + targets.length + (targets.length == 1 ? " camera" : " cameras");
+    });
+}
+
+function autoIncrementTakeHandler(enabled) {
+    autoIncrementTake = enabled;
+    localStorage.setItem("autoIncrementTake", enabled);
+
+    cameras.forEach((camera) => {
+        if (camera instanceof BMCamera) camera.autoIncrementTake = enabled;
+    });
+}
+
+// =============================== Format Handler ===============================
+
+// Formats each camera can record, indexed like cameras[]
+// Filled in by refreshSupportedFormats(), the list is only available over HTTP
+var supportedFormats = [];
+
+async function refreshSupportedFormats(index=ci) {
+    try {
+        supportedFormats[index] = await cameras[index].getSupportedFormats();
+    } catch (error) {
+        // Older cameras don't have the list, so they can't change format from here
+        supportedFormats[index] = [];
+    }
+
+    if (index == ci) scheduleUIUpdate();
+}
+
+// Turns "BRaw:3_1" into "BRAW 3:1"
+function formatCodecName(codec) {
+    return codec.toUpperCase().replace(":"," ").replace("_",":");
+}
+
+function toggleFormatControls() {
+    if (!(cameras[ci] instanceof BMCamera)) return;
+
+    safeUpdateElement("formatControls", el => el.classList.toggle("dNone"));
+}
+
+// Puts values into a <select> as options, but only if they changed, so an open list isn't disturbed
+function setSelectOptions(element, values, label=(value) => value) {
+    const key = JSON.stringify(values);
+    if (element.dataset.options === key) return;
+
+    element.dataset.options = key;
+    element.innerHTML = "";
+
+    values.forEach((value) => {
+        let optionNode = document.createElement("option");
+        optionNode.value = value;
+        optionNode.appendChild(document.createTextNode(label(value)));
+        element.appendChild(optionNode);
+    });
+}
+
+// Fills the format controls from the camera's supported formats
+// The codecs and frame rates offered are the ones the selected resolution can do.
+// If format is given (like /system/format), it's selected, otherwise the current selection is kept.
+function fillFormatControls(format) {
+    const formats = supportedFormats[ci] ?? [];
+
+    safeUpdateElement("formatResolutionDropDown", el => {
+        setSelectOptions(el, formats.map((entry, i) => String(i)), (i) => formats[i].recordResolution.width + "x" + formats[i].recordResolution.height);
+
+        if (format) {
+            const index = formats.indexOf(findSupportedFormat(formats, {recordResolution: format.recordResolution, sensorResolution: format.sensorResolution}));
+            if (index >= 0) el.value = index;
+        }
+    });
+
+    const entry = formats[parseInt(document.getElementById("formatResolutionDropDown")?.value)];
+
+    safeUpdateElement("formatCodecDropDown", el => {
+        setSelectOptions(el, entry?.codecs ?? [], formatCodecName);
+        if (format?.codec) el.value = format.codec;
+    });
+
+    safeUpdateElement("formatFrameRateDropDown", el => {
+        setSelectOptions(el, entry?.frameRates ?? [], (frameRate) => frameRate + " fps");
+        if (format?.frameRate) el.value = format.frameRate;
+    });
+
+    safeUpdateElement("formatOffSpeedCheckbox", el => {
+        if (format) el.checked = format.offSpeedEnabled === true;
+    });
+
+    safeUpdateElement("formatOffSpeedInput", el => {
+        el.min = entry?.minOffSpeedFrameRate ?? "";
+        el.max = entry?.maxOffSpeedFrameRate ?? "";
+        if (format?.offSpeedFrameRate !== undefined) el.value = format.offSpeedFrameRate;
+    });
+
+    safeUpdateElement("formatOffSpeedRangeSpan", el => {
+        el.innerHTML = entry ? entry.minOffSpeedFrameRate + "-" + entry.maxOffSpeedFrameRate + " fps" : "";
+    });
+}
+
+// Sets the format picked in the format controls on this camera, or on every camera to keep the rig matched
+// Cameras stop recording to change format, so that needs confirming first.
+async function applyFormatHandler(allCameras) {
+    const entry = (supportedFormats[ci] ?? [])[parseInt(document.getElementById("formatResolutionDropDown").value)];
+    if (!entry) return;
+
+    let format = {
+        codec: document.getElementById("formatCodecDropDown").value,
+        frameRate: document.getElementById("formatFrameRateDropDown").value,
+        recordResolution: entry.recordResolution,
+        offSpeedEnabled: document.getElementById("formatOffSpeedCheckbox").checked
+    };
+
+    if (format.offSpeedEnabled) {
+        format.offSpeedFrameRate = parseInt(document.getElementById("formatOffSpeedInput").value);
+
+        if (isNaN(format.offSpeedFrameRate)) {
+            safeUpdateElement("formatStatusSpan", el => el.textContent = "Enter an off speed frame rate");
+            return;
+        }
+    }
+
+    // Other models have other sensors, so they pick the sensor resolution that goes with the record resolution themselves
+    if (!allCameras) format.sensorResolution = entry.sensorResolution;
+
+    const targets = allCameras ? cameras.filter((camera) => camera instanceof BMCamera) : [cameras[ci]];
+    const recording = targets.filter((camera) => camera.isRecording);
+
+    if (recording.length > 0 && !confirm(recording.map(historyCameraLabel).join(", ") + (recording.length == 1 ? " is" : " are") + " recording, changing the format will stop the recording. Change it anyway?")) {
+        return;
+    }
+
+    unsavedChanges = unsavedChanges.filter((e) => e !== "Format");
+
+    const results = await changeHistory.group("Format " + describeFormat(format), (historyGroup) => {
+        return Promise.allSettled(targets.map((camera) => camera.setFormat(format, historyGroup)));
+    });
+
+    const failures = results.map((result, i) => result.status == "rejected" ? historyCameraLabel(targets[i]) + ": " + result.reason.message : null).filter(Boolean);
+
+    safeUpdateElement("formatStatusSpan", el => {
+        el.textContent = failures.length > 0 ? failures.join(", ") : "Format set" + (allCameras ? " on " + targets.length + " cameras" : "");
+    });
+}
+
+// =============================== Monitoring Handler ===============================
+
+// Overlays that can be switched on and off on each display, with their names in the table
+const MONITORING_OVERLAYS = {
+    focusAssist: "Focus Assist",
+    zebra: "Zebra",
+    falseColor: "False Color",
+    frameGuide: "Frame Guide",
+    safeArea: "Safe Area",
+    cleanFeed: "Clean Feed",
+    displayLUT: "Display LUT"
+};
+
+// Builds the overlay table, one column of on/off buttons per display, updateUIAll() fills in their state
+function renderMonitoringOverlays(device) {
+    const displays = device.monitoringDisplays;
+
+    safeUpdateElement("monitoringOverlayTable", el => {
+        el.innerHTML = "";
 
-        const preset = JSON.parse(await file.text());
-        if (!preset) {
-            throw new Error('Invalid preset file format');
+        if (displays.length == 0) {
+            el.innerHTML = "<tr><td>No monitoring outputs on this camera</td></tr>";
+            return;
         }
 
-        // Apply settings based on configuration
-        if (PRESET_CONFIG.focus && preset.focus) {
-            safePUTdata('/lens/focus', preset.focus);
-        }
-        if (PRESET_CONFIG.autoFocus && preset.autoFocus) {
-            safePUTdata('/lens/autoFocus', preset.autoFocus);
-        }
-        if (PRESET_CONFIG.iris && preset.iris) {
-            safePUTdata('/lens/iris', preset.iris);
-        }
-        if (PRESET_CONFIG.gain && preset.gain) {
-            safePUTdata('/video/gain', preset.gain);
-        }
-        if (PRESET_CONFIG.shutter && preset.shutter) {
-            safePUTdata('/video/shutter', preset.shutter);
-        }
-        if (PRESET_CONFIG.whiteBalance && preset.whiteBalance) {
-            safePUTdata('/video/whiteBalance', preset.whiteBalance);
-            if (preset.whiteBalanceTint) {
-                safePUTdata('/video/whiteBalanceTint', preset.whiteBalanceTint);
-            }
-        }
-        if (PRESET_CONFIG.ndFilter && preset.ndFilter) {
-            safePUTdata('/video/ndFilter', preset.ndFilter);
-        }
+        let headerNode = document.createElement("tr");
+        ["", ...displays].forEach((displayName) => {
+            let cellNode = document.createElement("th");
+            cellNode.appendChild(document.createTextNode(displayName));
+            headerNode.appendChild(cellNode);
+        });
+        el.appendChild(headerNode);
+
+        for (let overlay in MONITORING_OVERLAYS) {
+            let rowNode = document.createElement("tr");
+
+            let labelNode = document.createElement("td");
+            labelNode.appendChild(document.createTextNode(MONITORING_OVERLAYS[overlay]));
+            rowNode.appendChild(labelNode);
+
+            displays.forEach((displayName) => {
+                let cellNode = document.createElement("td");
+                let buttonNode = document.createElement("button");
+                buttonNode.id = "monitoring" + displayName + overlay;
+                buttonNode.onclick = () => {
+                    const enabled = device.propertyData["/monitoring/" + displayName + "/" + overlay]?.enabled;
+                    device.setMonitoringOverlay(displayName, overlay, !enabled);
+                };
+                cellNode.appendChild(buttonNode);
+                rowNode.appendChild(cellNode);
+            });
 
-        if (PRESET_CONFIG.colorCorrection.enabled && preset.colorCorrection) {
-            const cc = preset.colorCorrection;
-            if (PRESET_CONFIG.colorCorrection.lift && cc.lift) {
-                safePUTdata('/colorCorrection/lift', cc.lift);
-            }
-            if (PRESET_CONFIG.colorCorrection.gamma && cc.gamma) {
-                safePUTdata('/colorCorrection/gamma', cc.gamma);
-            }
-            if (PRESET_CONFIG.colorCorrection.gain && cc.gain) {
-                safePUTdata('/colorCorrection/gain', cc.gain);
-            }
-            if (PRESET_CONFIG.colorCorrection.offset && cc.offset) {
-                safePUTdata('/colorCorrection/offset', cc.offset);
-            }
+            el.appendChild(rowNode);
         }
+    });
+}
 
-        console.log('Preset loaded successfully:', file.name);
-        safeUpdateElement('statusMessage', el => {
-            el.textContent = 'Preset loaded successfully';
-            el.style.color = '#4CAF50';
-        });
+// Sends one of the settings shared by every display (zebra level, frame guide ratio, ...)
+function monitoringSettingHandler(endpoint, data) {
+    unsavedChanges = unsavedChanges.filter((e) => e !== "Monitoring");
 
-        // Update UI after applying settings
-        setTimeout(updateUIAll, 100);
-    } catch (error) {
-        console.error('Error loading preset:', error);
-        safeUpdateElement('statusMessage', el => {
-            el.textContent = 'Error loading preset: ' + error.message;
-            el.style.color = '#f44336';
-        });
-    } finally {
-        // Reset the file input so the same file can be loaded again
-    }
+    if (Object.values(data).some(Number.isNaN)) return;
+
+    cameras[ci].PUTdata(endpoint, data);
 }
 
-function pastePreset() {
-    if (!cameras[ci] || !cameras[ci].active) {
-        console.warn('No active camera selected');
-        return;
-    }
-    if (!copiedPreset) {
-        console.warn('No settings copied yet');
-        return;
-    }
-    try {
-        function safePUTdata(endpoint, data) {
-            if (!data) return;
-            try {
-                const response = cameras[ci].PUTdata(endpoint, data);
-                if (response.status >= 300) {
-                    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                }
-            } catch (error) {
-                if (error.message.includes('CORS')) {
-                    console.warn(`CORS error for ${endpoint} - expected if running locally`);
-                } else {
-                    throw error;
-                }
-            }
-        }
+// =============================== Audio Handler ===============================
 
-        // Apply settings based on PRESET_CONFIG
-        if (PRESET_CONFIG.focus && copiedPreset.focus) {
-            safePUTdata('/lens/focus', copiedPreset.focus);
-        }
-        if (PRESET_CONFIG.autoFocus && copiedPreset.autoFocus) {
-            safePUTdata('/lens/autoFocus', copiedPreset.autoFocus);
-        }
-        if (PRESET_CONFIG.iris && copiedPreset.iris) {
-            safePUTdata('/lens/iris', copiedPreset.iris);
-        }
-        if (PRESET_CONFIG.gain && copiedPreset.gain) {
-            safePUTdata('/video/gain', copiedPreset.gain);
-        }
-        if (PRESET_CONFIG.shutter && copiedPreset.shutter) {
-            safePUTdata('/video/shutter', copiedPreset.shutter);
-        }
-        if (PRESET_CONFIG.whiteBalance) {
-            if (copiedPreset.whiteBalance) safePUTdata('/video/whiteBalance', copiedPreset.whiteBalance);
-            if (copiedPreset.whiteBalanceTint) safePUTdata('/video/whiteBalanceTint', copiedPreset.whiteBalanceTint);
-        }
-        if (PRESET_CONFIG.ndFilter && copiedPreset.ndFilter) {
-            safePUTdata('/video/ndFilter', copiedPreset.ndFilter);
-        }
-        if (PRESET_CONFIG.colorCorrection.enabled && copiedPreset.colorCorrection) {
-            if (PRESET_CONFIG.colorCorrection.lift && copiedPreset.colorCorrection.lift) {
-                safePUTdata('/colorCorrection/lift', copiedPreset.colorCorrection.lift);
-            }
-            if (PRESET_CONFIG.colorCorrection.gamma && copiedPreset.colorCorrection.gamma) {
-                safePUTdata('/colorCorrection/gamma', copiedPreset.colorCorrection.gamma);
-            }
-            if (PRESET_CONFIG.colorCorrection.gain && copiedPreset.colorCorrection.gain) {
-                safePUTdata('/colorCorrection/gain', copiedPreset.colorCorrection.gain);
-            }
-            if (PRESET_CONFIG.colorCorrection.offset && copiedPreset.colorCorrection.offset) {
-                safePUTdata('/colorCorrection/offset', copiedPreset.colorCorrection.offset);
-            }
-        }
-        if (PRESET_CONFIG.contrast && copiedPreset.contrast) {
-            safePUTdata('/colorCorrection/contrast', copiedPreset.contrast);
-        }
-        if (PRESET_CONFIG.color) {
-            if (copiedPreset.color) safePUTdata('/colorCorrection/color', copiedPreset.color);
-            if (copiedPreset.lumaContribution) safePUTdata('/colorCorrection/lumaContribution', copiedPreset.lumaContribution);
-        }
-        if (PRESET_CONFIG.autoExposure && copiedPreset.autoExposure) {
-            safePUTdata('/video/autoExposure', copiedPreset.autoExposure);
-        }
+// Cameras that don't report their audio still get two (greyed out) channels
+function shownAudioChannels(device) {
+    return device.audioChannels.length > 0 ? device.audioChannels : [0, 1];
+}
 
-        console.log('Settings applied successfully');
-        safeUpdateElement("presetStatusSpan", (element) => {
-            element.innerHTML = "Settings applied successfully.";
-            element.style.color = "#6e6e6e";
-        });
+// Builds a row of controls for every audio channel, updateUIAll() fills in their values
+function renderAudioChannels(device) {
+    safeUpdateElement("audioChannelTable", el => {
+        el.innerHTML = "";
+
+        shownAudioChannels(device).forEach((channelIndex) => {
+            const channel = device.audioChannel(channelIndex);
+            let rowNode = document.createElement("tr");
+
+            let inputSelect = document.createElement("select");
+            inputSelect.id = "audioInputDropDown" + channelIndex;
+            inputSelect.className = "audioInputDropDown";
+            inputSelect.title = "Input";
+            inputSelect.onchange = () => device.setAudioInput(channelIndex, inputSelect.value);
+
+            channel.supportedInputs.forEach((supported) => {
+                let optionNode = document.createElement("option");
+                optionNode.value = supported.input;
+                optionNode.disabled = supported.available === false;
+                optionNode.appendChild(document.createTextNode(supported.input));
+                inputSelect.appendChild(optionNode);
+            });
 
-        // Update UI after a short delay to allow camera state to update
-        setTimeout(updateUIAll, 100);
+            let levelRange = document.createElement("input");
+            levelRange.type = "range";
+            levelRange.id = "audioLevelRange" + channelIndex;
+            levelRange.min = 0;
+            levelRange.max = 1;
+            levelRange.step = 0.001;
+            levelRange.title = "Level";
+            levelRange.oninput = () => device.queuePUTdata("/audio/channel/" + channelIndex + "/level", {normalised: parseFloat(levelRange.value)});
+
+            let gainLabel = document.createElement("span");
+            gainLabel.id = "audioGainLabel" + channelIndex;
+            gainLabel.className = "audioGainLabel";
+
+            let phantomButton = document.createElement("button");
+            phantomButton.id = "audioPhantomButton" + channelIndex;
+            phantomButton.innerHTML = "48V";
+            phantomButton.title = "Phantom Power";
+            phantomButton.onclick = () => device.setPhantomPower(channelIndex, !device.audioChannel(channelIndex).phantomPower);
+
+            let lowCutButton = document.createElement("button");
+            lowCutButton.id = "audioLowCutButton" + channelIndex;
+            lowCutButton.innerHTML = "Low Cut";
+            lowCutButton.title = "Low Cut Filter";
+            lowCutButton.onclick = () => device.setLowCutFilter(channelIndex, !device.audioChannel(channelIndex).lowCutFilter);
+
+            [document.createTextNode("Ch " + (channelIndex + 1)), inputSelect, [levelRange, gainLabel], [phantomButton, lowCutButton]].forEach((contents) => {
+                let cellNode = document.createElement("td");
+                [].concat(contents).forEach((node) => cellNode.appendChild(node));
+                rowNode.appendChild(cellNode);
+            });
 
-    } catch (error) {
-        console.error('Error applying settings:', error);
-        safeUpdateElement("presetStatusSpan", (element) => {
-            element.innerHTML = "Error applying settings: " + error.message;
-            element.style.color = "#ff0000";
+            el.appendChild(rowNode);
         });
-    }
+    });
 }
 
 // =============================== UI Updater ==================================
 // =============================================================================
 
+// Cameras send lots of changes at once (every property when subscribing),
+//  so redraw at most once per frame instead of once per change.
+var UIUpdateScheduled = false;
+
+function scheduleUIUpdate() {
+    if (UIUpdateScheduled) return;
+
+    UIUpdateScheduled = true;
+    requestAnimationFrame(() => {
+        UIUpdateScheduled = false;
+        updateUIAll();
+    });
+}
+
 function updateUIAll() {
     if (!cameras[ci]) return;
 
@@ -686,7 +1721,7 @@ function updateUIAll() {
     if (formatData) {
         safeUpdateElement("formatCodec", el => {
             if (formatData.codec) {
-                el.innerHTML = formatData.codec.toUpperCase().replace(":"," ").replace("_",":");
+                el.innerHTML = formatCodecName(formatData.codec);
             }
         });
         
@@ -704,6 +1739,37 @@ function updateUIAll() {
         });
     }
 
+    // ========== Format Controls ==========
+    if (!(cameras[ci] instanceof BMCamera)) {
+        safeUpdateElement("formatControls", el => el.classList.add("dNone"));
+    } else if (formatData && !unsavedChanges.includes("Format")) {
+        fillFormatControls(formatData);
+    }
+
+    // ========== Slate ==========
+    // Controls for slate fields the camera doesn't have are greyed out
+    if (!unsavedChanges.includes("Slate")) {
+        const nextClip = cameras[ci].propertyData['/slates/nextClip'];
+        const slate = {project: cameras[ci].propertyData['/slates/project'], clip: nextClip?.clip, lens: nextClip?.lens};
+
+        document.querySelectorAll("[data-slate]").forEach((el) => {
+            const [group, field] = el.dataset.slate.split(".");
+            const value = slate[group]?.[field];
+
+            el.disabled = (value === undefined);
+
+            if (value === undefined) return;
+
+            if (el.type === "checkbox") {
+                el.checked = value;
+            } else {
+                el.value = value;
+            }
+        });
+    }
+
+    safeUpdateElement("slateAutoTakeCheckbox", el => el.checked = autoIncrementTake);
+
     // ========== Recording State ==========
     const recordingState = cameras[ci].propertyData['/transports/0/state']?.state;
     if (recordingState) {
@@ -740,8 +1806,28 @@ function updateUIAll() {
 
     // ========== Timecode ==========
     safeUpdateElement("timecodeLabel", el => {
-        const timecode = cameras[ci].propertyData['/transports/0/timecode']?.timecode;
-        if (timecode) el.innerHTML = parseTimecode(timecode);
+        if (cameras[ci].propertyData['/transports/0/timecode']) el.innerHTML = cameras[ci].timecode.toString();
+    });
+
+    // ========== Timeline ==========
+    // Only redrawn when the clips change, the playhead moves every frame
+    safeUpdateElement("timelineControls", el => {
+        const key = cameras[ci].hostname + JSON.stringify(cameras[ci].propertyData['/timelines/0']?.clips ?? []);
+        if (el.dataset.clips !== key) {
+            el.dataset.clips = key;
+            renderTimeline(cameras[ci]);
+        }
+    });
+
+    safeUpdateElement("timelinePlayhead", el => {
+        const length = cameras[ci].timelineLength;
+        const position = cameras[ci].propertyData['/transports/0/playback']?.position ?? 0;
+        el.style.left = (length > 0 ? Math.min(position / length, 1) * 100 : 0) + "%";
+    });
+
+    safeUpdateElement("timelineClipTable", el => {
+        const currentClipIndex = cameras[ci].currentClipIndex;
+        Array.from(el.getElementsByClassName("timelineClipRow")).forEach((row, i) => row.classList.toggle("activated", i === currentClipIndex));
     });
 
     // ========== Presets Dropdown ==========
@@ -777,6 +1863,15 @@ function updateUIAll() {
 
     }
 
+    // ========== Preset Bank ==========
+    safeUpdateElement("presetBankList", el => {
+        const key = cameras[ci].hostname + "/" + presetLibraryRevision + "/" + (document.getElementById("presetTagFilterInput")?.value ?? "");
+        if (el.dataset.bank !== key) {
+            el.dataset.bank = key;
+            renderPresetBank(cameras[ci]);
+        }
+    });
+
     // ========== Iris ==========
     const irisData = cameras[ci].propertyData['/lens/iris'];
     safeUpdateElement('irisRange', el => {
@@ -801,6 +1896,33 @@ function updateUIAll() {
         if (focusData?.normalised !== undefined) el.value = focusData.normalised;
     });
 
+    // ========== Focus Marks ==========
+    safeUpdateElement("focusPullControls", el => el.classList.toggle("dNone", !(cameras[ci] instanceof BMCamera)));
+
+    if (cameras[ci] instanceof BMCamera) {
+        safeUpdateElement("focusMarkList", el => {
+            const key = cameras[ci].hostname + JSON.stringify(cameras[ci].focusMarks);
+            if (el.dataset.marks !== key) {
+                el.dataset.marks = key;
+                renderFocusMarks(cameras[ci]);
+            }
+        });
+
+        safeUpdateElement("focusPullStopButton", el => el.disabled = !cameras[ci].isPullingFocus);
+    }
+
+    // ========== Lens Ramps ==========
+    safeUpdateElement("lensRampControls", el => el.classList.toggle("dNone", !(cameras[ci] instanceof BMCamera)));
+
+    if (cameras[ci] instanceof BMCamera) {
+        ["iris", "zoom"].forEach((lensControl) => {
+            safeUpdateElement(lensControl + "RampTargetSpan", el => el.textContent = parseFloat(document.getElementById(lensControl + "RampTargetRange").value).toFixed(3));
+            safeUpdateElement(lensControl + "RampButton", el => el.disabled = !cameras[ci].propertyData["/lens/" + lensControl]);
+        });
+
+        safeUpdateElement("lensRampStopButton", el => el.disabled = !cameras.some((camera) => camera?.isRampingIris || camera?.isRampingZoom));
+    }
+
     // ========== ISO ==========
     if (!unsavedChanges.includes('ISO')) {
         safeUpdateElement('ISOInput', el => {
@@ -850,21 +1972,7 @@ function updateUIAll() {
 
     // ============ Shutter =====================
     if (!unsavedChanges.includes('Shutter')) {
-        safeUpdateElement('shutterSpan', el => {
-            const shutterObj = cameras[ci].propertyData['/video/shutter'];
-            let shutterString = 'SS';
-
-            if (shutterObj?.shutterSpeed) {
-                shutterString = '1/' + shutterObj.shutterSpeed;
-            } else if (shutterObj?.shutterAngle) {
-                const shangleString = (shutterObj.shutterAngle / 100).toFixed(1);
-                shutterString = shangleString.endsWith('.0') ? 
-                    parseFloat(shangleString).toFixed(0) + '°' : 
-                    shangleString + '°';
-            }
-
-            el.innerHTML = shutterString;
-        });
+        safeUpdateElement('shutterSpan', el => el.innerHTML = formatShutter(cameras[ci].propertyData['/video/shutter']) ?? 'SS');
     }
 
     // =========== Auto Exposure Mode ===========
@@ -945,6 +2053,160 @@ function updateUIAll() {
         }
     }
 
+    // ============ Match to Reference ===============
+    // The checklists only get rebuilt when cameras come and go
+    safeUpdateElement("matchControls", el => {
+        const key = cameras.map((camera) => camera instanceof BMCamera ? camera.hostname : "").join(",");
+        if (el.dataset.cameras !== key) {
+            el.dataset.cameras = key;
+            renderMatchControls();
+        }
+    });
+
+    // ============ Monitoring ===============
+    safeUpdateElement("monitoringControls", el => el.classList.toggle("dNone", !(cameras[ci] instanceof BMCamera)));
+
+    if (cameras[ci] instanceof BMCamera) {
+        // The table only gets rebuilt when the displays change
+        safeUpdateElement("monitoringOverlayTable", el => {
+            const key = cameras[ci].hostname + JSON.stringify(cameras[ci].monitoringDisplays);
+            if (el.dataset.displays !== key) {
+                el.dataset.displays = key;
+                renderMonitoringOverlays(cameras[ci]);
+            }
+        });
+
+        // Overlays a display doesn't have are greyed out
+        cameras[ci].monitoringDisplays.forEach((displayName) => {
+            for (let overlay in MONITORING_OVERLAYS) {
+                safeUpdateElement("monitoring" + displayName + overlay, el => {
+                    const enabled = cameras[ci].propertyData['/monitoring/' + displayName + '/' + overlay]?.enabled;
+                    el.disabled = (enabled === undefined);
+                    el.innerHTML = enabled ? "On" : "Off";
+                    el.classList.toggle("activated", enabled === true);
+                });
+            }
+        });
+
+        if (!unsavedChanges.includes("Monitoring")) {
+            const focusAssist = cameras[ci].propertyData['/monitoring/focusAssist'];
+
+            const updateSetting = (id, value) => safeUpdateElement(id, el => {
+                el.disabled = (value === undefined);
+                if (value !== undefined) el.value = value;
+            });
+
+            updateSetting("focusAssistModeDropDown", focusAssist?.mode);
+            updateSetting("focusAssistColorDropDown", focusAssist?.color);
+            updateSetting("focusAssistIntensityRange", focusAssist?.intensity);
+            updateSetting("zebraLevelInput", cameras[ci].propertyData['/monitoring/zebraLevel']?.zebraLevel);
+            updateSetting("frameGuideRatioDropDown", cameras[ci].propertyData['/monitoring/frameGuideRatio']?.ratio);
+            updateSetting("safeAreaPercentInput", cameras[ci].propertyData['/monitoring/safeAreaPercent']?.safeAreaPercent);
+        }
+    }
+
+    // ============ Audio ===============
+    // HyperDecks don't have the camera audio endpoints
+    safeUpdateElement("audioControls", el => el.classList.toggle("dNone", !(cameras[ci] instanceof BMCamera)));
+
+    if (cameras[ci] instanceof BMCamera) {
+        // The rows only get rebuilt when the channels or their inputs change
+        safeUpdateElement("audioChannelTable", el => {
+            const channels = cameras[ci].audioChannels;
+            const key = cameras[ci].hostname + JSON.stringify(channels.map((channelIndex) => cameras[ci].audioChannel(channelIndex).supportedInputs));
+            if (el.dataset.channels !== key) {
+                el.dataset.channels = key;
+                renderAudioChannels(cameras[ci]);
+            }
+        });
+
+        // Anything the camera doesn't report (or the input doesn't support) is greyed out
+        shownAudioChannels(cameras[ci]).forEach((channelIndex) => {
+            const channel = cameras[ci].audioChannel(channelIndex);
+            const capabilities = channel.description?.capabilities ?? {};
+
+            safeUpdateElement("audioInputDropDown" + channelIndex, el => {
+                el.disabled = channel.input === undefined;
+                if (channel.input !== undefined) el.value = channel.input;
+            });
+
+            safeUpdateElement("audioLevelRange" + channelIndex, el => {
+                el.disabled = channel.normalised === undefined;
+                if (channel.normalised !== undefined) el.value = channel.normalised;
+            });
+
+            safeUpdateElement("audioGainLabel" + channelIndex, el => {
+                el.innerHTML = channel.gain !== undefined ? (channel.gain >= 0 ? "+" : "") + channel.gain.toFixed(1) + "dB" : "-";
+            });
+
+            safeUpdateElement("audioPhantomButton" + channelIndex, el => {
+                el.disabled = channel.phantomPower === undefined || capabilities.phantomPower === false;
+                el.classList.toggle("activated", channel.phantomPower === true);
+            });
+
+            safeUpdateElement("audioLowCutButton" + channelIndex, el => {
+                el.disabled = channel.lowCutFilter === undefined || capabilities.lowCutFilter === false;
+                el.classList.toggle("activated", channel.lowCutFilter === true);
+            });
+        });
+    }
+
+    // ============ HyperDeck ===============
+    const isDeck = cameras[ci] instanceof BMHyperDeck;
+    safeUpdateElement("deckControls", el => el.classList.toggle("dNone", !isDeck));
+
+    if (isDeck) {
+        safeUpdateElement("deckModeDropDown", el => {
+            const mode = cameras[ci].propertyData['/transports/0']?.mode;
+            if (mode) el.value = mode;
+        });
+
+        safeUpdateElement("deckInputDropDown", el => {
+            const input = cameras[ci].propertyData['/transports/0/inputVideoSource']?.inputVideoSource;
+            if (input) el.value = input;
+        });
+
+        safeUpdateElement("deckSpeedSpan", el => {
+            const speed = cameras[ci].propertyData['/transports/0/playback']?.speed;
+            if (speed !== undefined) el.innerHTML = speed + "x";
+        });
+
+        // Lists only get redrawn when their clips change, so the selection isn't lost
+        safeUpdateElement("deckClipsSelect", el => {
+            const clips = deckClips[ci] ?? [];
+            const key = clips.map((clip) => clip.clipUniqueId).join(",");
+            if (el.dataset.clips !== key) {
+                el.dataset.clips = key;
+                fillDeckClipSelect(el, clips);
+            }
+        });
+
+        const workingset = cameras[ci].propertyData['/media/workingset']?.workingset;
+        if (workingset) {
+            safeUpdateElement("deckMediaDropDown", el => {
+                const key = workingset.map((slot) => slot.deviceName).join(",");
+                if (el.dataset.media !== key) {
+                    el.dataset.media = key;
+                    el.innerHTML = "";
+                    workingset.forEach((slot) => {
+                        let optionNode = document.createElement("option");
+                        optionNode.value = slot.index;
+                        optionNode.appendChild(document.createTextNode(slot.deviceName + (slot.volume ? " (" + slot.volume + ")" : "")));
+                        el.appendChild(optionNode);
+                    });
+                }
+
+                const activeSlot = workingset.find((slot) => slot.activeDisk);
+                if (activeSlot) el.value = activeSlot.index;
+            });
+
+            safeUpdateElement("deckMediaSpan", el => {
+                const activeSlot = workingset.find((slot) => slot.activeDisk);
+                el.innerHTML = activeSlot ? formatRecordTime(activeSlot.remainingRecordTime) + " left, " + activeSlot.clipCount + " clips" : "No media";
+            });
+        }
+    }
+
     // ============ Footer Links ===============
     const protocol = cameras[ci].useHTTPS ? 'https://' : 'http://';
     const baseUrl = protocol + cameras[ci].hostname;
@@ -956,6 +2218,35 @@ function updateUIAll() {
 
 // ==============================================================================
 
+// Tabs of cameras that dropped out during a show and haven't come back yet
+var connectionWarnings = new Set();
+
+// A show is running if any camera is recording (cameras that dropped out still have their last known state)
+function isShowRunning() {
+    return cameras.some((camera) => camera?.isRecording);
+}
+
+// Warns about a camera that lost its connection, if it happened during a show
+function cameraDroppedOut(index) {
+    if (isShowRunning()) {
+        connectionWarnings.add(index);
+        updateConnectionWarning();
+    }
+}
+
+function cameraReconnected(index) {
+    connectionWarnings.delete(index);
+    updateConnectionWarning();
+}
+
+function updateConnectionWarning() {
+    safeUpdateElement("connectionWarningSpan", el => {
+        el.innerHTML = Array.from(connectionWarnings).sort().map((i) => "CAM" + (i+1) + " (" + cameras[i].hostname + ") lost connection!").join(" ");
+    });
+
+    updateCameraSwitchLabels();
+}
+
 // Called when the user changes tabs to a different camera
 function switchCamera(index) {
     if (cameras[ci]) {
@@ -964,20 +2255,14 @@ function switchCamera(index) {
 
     ci = index;
 
+    // Clicking a strip in the grid opens that camera's controls
+    if (gridView) setGridView(false);
+
     // Reset the Controls
     safeUpdateElement("allCamerasContainer", el => el.innerHTML = defaultControlsHTML);
 
     // Update camera switch labels
-    const switchLabels = document.getElementsByClassName("cameraSwitchLabel");
-    for (var i = 0; i < 8; i++) {
-        if (switchLabels[i]) {
-            if (i == ci) {
-                switchLabels[i].classList.add("selectedCam");
-            } else {
-                switchLabels[i].classList.remove("selectedCam");
-            }
-        }
-    }
+    updateCameraSwitchLabels();
 
     safeUpdateElement("cameraNumberLabel", el => el.innerHTML = "CAM" + (ci+1));
     safeUpdateElement("cameraName", el => el.innerHTML = "CAMERA NAME");
@@ -991,9 +2276,171 @@ function switchCamera(index) {
         cameras[ci].active = true;
     }
 
+    // The history list was reset along with the rest of the controls
+    renderHistory();
+
+    shuttleSpeed = 0;
+
     // No need to update presets list anymore as we're using file-based presets
 }
 
+// Highlights the selected camera in the camera select bar,
+//  and shows each camera's connection state (see BMDevice.connectionState)
+function updateCameraSwitchLabels() {
+    const switchLabels = document.getElementsByClassName("cameraSwitchLabel");
+    for (var i = 0; i < 8; i++) {
+        if (switchLabels[i]) {
+            if (i == ci) {
+                switchLabels[i].classList.add("selectedCam");
+            } else {
+                switchLabels[i].classList.remove("selectedCam");
+            }
+
+            const state = cameras[i]?.connectionState;
+            ["connecting", "live", "stale", "offline"].forEach((s) => {
+                switchLabels[i].classList.toggle("conn"+s.charAt(0).toUpperCase()+s.slice(1), s === state);
+            });
+            switchLabels[i].classList.toggle("healthWarning", connectionWarnings.has(i));
+
+            // Health badge, shows the average latency and is colored by the health level
+            const health = cameras[i]?.health;
+            const badge = switchLabels[i].querySelector(".healthBadge");
+            if (badge) {
+                badge.innerHTML = (health?.averageLatency !== undefined && health.level !== "bad") ? health.averageLatency + "ms" : "";
+                ["good", "slow", "bad"].forEach((level) => {
+                    badge.classList.toggle("health"+level.charAt(0).toUpperCase()+level.slice(1), level === health?.level);
+                });
+            }
+
+            if (health) {
+                switchLabels[i].title = cameras[i].hostname + ": " + state
+                    + "\nLatency: " + (health.averageLatency ?? "?") + "ms (last " + (health.latency ?? "?") + "ms)"
+                    + "\nLast message: " + (health.lastMessageAge !== undefined ? (health.lastMessageAge / 1000).toFixed(1) + "s ago" : "never")
+                    + (health.missedHeartbeats > 0 ? "\nMissed heartbeats: " + health.missedHeartbeats : "");
+            } else {
+                switchLabels[i].title = "Not connected";
+            }
+        }
+    }
+
+    // The grid shows the connection state too
+    scheduleGridUpdate();
+}
+
+// Shutter speed (1/50) or angle (180°) as text, undefined if there's neither
+function formatShutter(shutterObj) {
+    if (shutterObj?.shutterSpeed) {
+        return '1/' + shutterObj.shutterSpeed;
+    } else if (shutterObj?.shutterAngle) {
+        const shangleString = (shutterObj.shutterAngle / 100).toFixed(1);
+        return shangleString.endsWith('.0') ? 
+            parseFloat(shangleString).toFixed(0) + '°' : 
+            shangleString + '°';
+    }
+}
+
+// =============================== Camera Grid ===============================
+
+// With the grid on, every camera is shown at once as a strip instead of one camera's controls
+var gridView = false;
+
+// The values on each strip: [label, function of the camera that returns the text]
+const GRID_VALUES = [
+    ["Iris", (camera) => camera.propertyData['/lens/iris']?.apertureStop !== undefined ? "f" + camera.propertyData['/lens/iris'].apertureStop.toFixed(1) : undefined],
+    ["ISO", (camera) => camera.propertyData['/video/iso']?.iso],
+    ["Gain", (camera) => {
+        const gainInt = camera.propertyData['/video/gain']?.gain;
+        return gainInt !== undefined ? (gainInt >= 0 ? '+' : '') + gainInt + 'db' : undefined;
+    }],
+    ["Shutter", (camera) => formatShutter(camera.propertyData['/video/shutter'])],
+    ["WB", (camera) => camera.propertyData['/video/whiteBalance']?.whiteBalance !== undefined ? camera.propertyData['/video/whiteBalance'].whiteBalance + "K" : undefined],
+    ["ND", (camera) => camera.propertyData['/video/ndFilter']?.stop]
+];
+
+function toggleGridView() {
+    setGridView(!gridView);
+}
+
+function setGridView(enabled) {
+    gridView = enabled;
+
+    safeUpdateElement("allCamerasContainer", el => el.classList.toggle("dNone", gridView));
+    safeUpdateElement("cameraGridContainer", el => el.classList.toggle("dNone", !gridView));
+    safeUpdateElement("gridViewLabel", el => el.classList.toggle("selectedCam", gridView));
+
+    scheduleGridUpdate();
+}
+
+// Like scheduleUIUpdate, the grid is redrawn at most once per frame (and not at all when it's hidden)
+var gridUpdateScheduled = false;
+
+function scheduleGridUpdate() {
+    if (!gridView || gridUpdateScheduled) return;
+
+    gridUpdateScheduled = true;
+    requestAnimationFrame(() => {
+        gridUpdateScheduled = false;
+        updateCameraGrid();
+    });
+}
+
+// Makes the strips for the cameras there are, clicking one opens its controls
+function renderCameraGrid(grid) {
+    grid.innerHTML = "";
+
+    cameras.forEach((camera, i) => {
+        if (!camera) return;
+
+        let stripNode = document.createElement("div");
+        stripNode.className = "gridStrip";
+        stripNode.dataset.index = i;
+        stripNode.title = "Open CAM" + (i+1) + "'s controls";
+        stripNode.onclick = () => switchCamera(i);
+
+        stripNode.innerHTML = '<div class="gridStripHead"><span class="gridStripName"></span><span class="gridStripRecord"></span><span class="gridStripTimecode"></span></div>'
+            + '<div class="gridStripValues">' + GRID_VALUES.map(([label]) => '<span><small>' + label + '</small><span></span></span>').join("") + '</div>';
+
+        grid.appendChild(stripNode);
+    });
+
+    if (grid.childElementCount == 0) {
+        grid.innerHTML = "<span>No cameras connected</span>";
+    }
+}
+
+function updateCameraGrid() {
+    safeUpdateElement("cameraGridContainer", grid => {
+        // Only rebuilt when cameras come and go
+        const key = cameras.map((camera) => camera?.hostname ?? "").join(",");
+        if (grid.dataset.cameras !== key) {
+            grid.dataset.cameras = key;
+            renderCameraGrid(grid);
+        }
+
+        grid.querySelectorAll(".gridStrip").forEach((stripNode) => {
+            const i = parseInt(stripNode.dataset.index);
+            const camera = cameras[i];
+
+            ["connecting", "live", "stale", "offline"].forEach((s) => {
+                stripNode.classList.toggle("conn"+s.charAt(0).toUpperCase()+s.slice(1), s === camera.connectionState);
+            });
+
+            const head = stripNode.querySelector(".gridStripHead");
+            head.classList.toggle("liveCam", camera.isRecording);
+
+            head.querySelector(".gridStripName").innerHTML = "CAM" + (i+1) + "<small></small>";
+            head.querySelector(".gridStripName small").textContent = camera.name;
+            head.querySelector(".gridStripRecord").textContent = camera.connectionState === "offline" ? "OFFLINE" : (camera.isRecording ? "REC" : "");
+            head.querySelector(".gridStripTimecode").textContent = camera.propertyData['/transports/0/timecode'] ? camera.timecode.toString() : "--:--:--:--";
+
+            const valueNodes = stripNode.querySelectorAll(".gridStripValues > span > span");
+            GRID_VALUES.forEach(([label, getValue], j) => {
+                valueNodes[j].textContent = getValue(camera) ?? "-";
+            });
+        });
+    });
+}
+
 // For not-yet-implemented Color Correction UI
 function setCCMode(mode) {
     if (mode == 0) {
@@ -1036,7 +2483,7 @@ function swapWBMode() {
 }
 
 // Triggered by the button by those text boxes. Reads the info from the inputs and sends it to the camera.
-function manualAPICall() {
+async function manualAPICall() {
     const requestRadioGET = document.getElementById("requestTypeGET");
 
     const requestEndpointText = document.getElementById("manualRequestEndpointLabel").value;
@@ -1051,37 +2498,41 @@ function manualAPICall() {
     const requestMethod = (requestRadioGET.checked ? "GET" : "PUT");
     const requestURL = cameras[ci].APIAddress+requestEndpointText;
 
-    let response = sendRequest(requestMethod,requestURL,requestData);
-    
-    document.getElementById("manualRequestResponseP").innerHTML = JSON.stringify(response);
+    try {
+        let response = await sendRequest(requestMethod,requestURL,requestData);
+
+        document.getElementById("manualRequestResponseP").innerHTML = JSON.stringify(response);
+    } catch (err) {
+        document.getElementById("manualRequestResponseP").innerHTML = err;
+    }
 }
 
 /*  Control Calling Functions   */
 /*    Makes the HTML cleaner.   */
 
 function decreaseND() {
-    cameras[ci].PUTdata("/video/ndFilter",{stop: cameras[ci].propertyData['/video/ndFilter'].stop-2});
+    gangPUTdata("/video/ndFilter", {stop: cameras[ci].propertyData['/video/ndFilter'].stop-2});
 }
 
 function increaseND() {
-    cameras[ci].PUTdata("/video/ndFilter",{stop: cameras[ci].propertyData['/video/ndFilter'].stop+2});
+    gangPUTdata("/video/ndFilter", {stop: cameras[ci].propertyData['/video/ndFilter'].stop+2});
 }
 
 function decreaseGain() {
-    cameras[ci].PUTdata("/video/gain",{gain: cameras[ci].propertyData['/video/gain'].gain-2});
+    gangPUTdata("/video/gain", {gain: cameras[ci].propertyData['/video/gain'].gain-2});
 }
 
 function increaseGain() {
-    cameras[ci].PUTdata("/video/gain",{gain: cameras[ci].propertyData['/video/gain'].gain+2});
+    gangPUTdata("/video/gain", {gain: cameras[ci].propertyData['/video/gain'].gain+2});
 }
 
 function decreaseShutter() {
     let cam = cameras[ci];
 
     if ('shutterSpeed' in cam.propertyData['/video/shutter']) {
-        cam.PUTdata("/video/shutter", {"shutterSpeed": cam.propertyData['/video/shutter'].shutterSpeed+10});
+        gangPUTdata("/video/shutter", {"shutterSpeed": cam.propertyData['/video/shutter'].shutterSpeed+10});
     } else {
-        cam.PUTdata("/video/shutter", {"shutterAngle": cam.propertyData['/video/shutter'].shutterAngle-1000});
+        gangPUTdata("/video/shutter", {"shutterAngle": cam.propertyData['/video/shutter'].shutterAngle-1000});
     }
 }
 
@@ -1089,9 +2540,9 @@ function increaseShutter() {
     let cam = cameras[ci];
 
     if ('shutterSpeed' in cam.propertyData['/video/shutter']) {
-        cam.PUTdata("/video/shutter", {"shutterSpeed": cam.propertyData['/video/shutter'].shutterSpeed-10});
+        gangPUTdata("/video/shutter", {"shutterSpeed": cam.propertyData['/video/shutter'].shutterSpeed-10});
     } else {
-        cam.PUTdata("/video/shutter", {"shutterAngle": cam.propertyData['/video/shutter'].shutterAngle+1000});
+        gangPUTdata("/video/shutter", {"shutterAngle": cam.propertyData['/video/shutter'].shutterAngle+1000});
     }
 }
 
@@ -1103,13 +2554,13 @@ function handleShutterInput() {
 
         if ('shutterSpeed' in cam.propertyData['/video/shutter']) {
             if (inputString.indexOf("1/") >= 0) {
-                cam.PUTdata("/video/shutter", {"shutterSpeed" :parseInt(inputString.substring(2))});
+                gangPUTdata("/video/shutter", {"shutterSpeed" :parseInt(inputString.substring(2))});
             } else {
-                cam.PUTdata("/video/shutter", {"shutterSpeed" :parseInt(inputString)});
+                gangPUTdata("/video/shutter", {"shutterSpeed" :parseInt(inputString)});
             }
             
         } else {
-            cam.PUTdata("/video/shutter", {"shutterAngle": parseInt(parseFloat(inputString)*100)});
+            gangPUTdata("/video/shutter", {"shutterAngle": parseInt(parseFloat(inputString)*100)});
         }
         
         unsavedChanges = unsavedChanges.filter((e) => {return e !== "Shutter"});
@@ -1119,19 +2570,19 @@ function handleShutterInput() {
 }
 
 function decreaseWhiteBalance() {
-    cameras[ci].PUTdata("/video/whiteBalance", {whiteBalance: cameras[ci].propertyData['/video/whiteBalance'].whiteBalance-50});
+    gangPUTdata("/video/whiteBalance", {whiteBalance: cameras[ci].propertyData['/video/whiteBalance'].whiteBalance-50});
 }
 
 function increaseWhiteBalance() {
-    cameras[ci].PUTdata("/video/whiteBalance", {whiteBalance: cameras[ci].propertyData['/video/whiteBalance'].whiteBalance+50});
+    gangPUTdata("/video/whiteBalance", {whiteBalance: cameras[ci].propertyData['/video/whiteBalance'].whiteBalance+50});
 }
 
 function decreaseWhiteBalanceTint() {
-    cameras[ci].PUTdata("/video/whiteBalanceTint", {whiteBalanceTint: cameras[ci].propertyData['/video/whiteBalanceTint'].whiteBalanceTint-1});
+    gangPUTdata("/video/whiteBalanceTint", {whiteBalanceTint: cameras[ci].propertyData['/video/whiteBalanceTint'].whiteBalanceTint-1});
 }
 
 function increaseWhiteBalanceTint() {
-    cameras[ci].PUTdata("/video/whiteBalanceTint", {whiteBalanceTint: cameras[ci].propertyData['/video/whiteBalanceTint'].whiteBalanceTint+1});
+    gangPUTdata("/video/whiteBalanceTint", {whiteBalanceTint: cameras[ci].propertyData['/video/whiteBalanceTint'].whiteBalanceTint+1});
 }
 
 function presetInputHandler() {
@@ -1168,7 +2619,7 @@ function ISOInputHandler() {
 
     if (event.key === 'Enter') {
         event.preventDefault;
-        cameras[ci].PUTdata("/video/iso", {iso: parseInt(ISOInput.value)})
+        gangPUTdata("/video/iso", {iso: parseInt(ISOInput.value)})
         unsavedChanges = unsavedChanges.filter((e) => {return e !== "ISO"});
     } else {
         unsavedChanges.push('ISO');
@@ -1188,7 +2639,7 @@ function CCInputHandler(which) {
 function NDFilterInputHandler() {
     if (event.key === 'Enter') {
         event.preventDefault;
-        cameras[ci].PUTdata("/video/ndFilter", {stop: parseInt(document.getElementById("ndFilterSpan").innerHTML)})
+        gangPUTdata("/video/ndFilter", {stop: parseInt(document.getElementById("ndFilterSpan").innerHTML)})
         unsavedChanges = unsavedChanges.filter((e) => {return e !== "ND"});
     } else {
         unsavedChanges.push('ND');
@@ -1198,7 +2649,7 @@ function NDFilterInputHandler() {
 function GainInputHandler() {
     if (event.key === 'Enter') {
         event.preventDefault;
-        cameras[ci].PUTdata("/video/gain", {gain: parseInt(document.getElementById("gainSpan").innerHTML)})
+        gangPUTdata("/video/gain", {gain: parseInt(document.getElementById("gainSpan").innerHTML)})
         unsavedChanges = unsavedChanges.filter((e) => {return e !== "Gain"});
     } else {
         unsavedChanges.push('Gain');
@@ -1212,7 +2663,7 @@ function WBInputHandler() {
         event.preventDefault();
         try {
             const value = parseInt(document.getElementById("whiteBalanceSpan").innerHTML);
-            cameras[ci].PUTdata("/video/whiteBalance", {"whiteBalance": value});
+            gangPUTdata("/video/whiteBalance", {"whiteBalance": value});
             unsavedChanges = unsavedChanges.filter((e) => {return e !== "WB"});
             updateUIAll();
         } catch (error) {
@@ -1230,7 +2681,7 @@ function WBTInputHandler() {
         event.preventDefault();
         try {
             const value = parseInt(document.getElementById("whiteBalanceTintSpan").innerHTML);
-            cameras[ci].PUTdata("/video/whiteBalanceTint", {"whiteBalanceTint": value});
+            gangPUTdata("/video/whiteBalanceTint", {"whiteBalanceTint": value});
             unsavedChanges = unsavedChanges.filter((e) => {return e !== "WBT"});
             updateUIAll();
         } catch (error) {
@@ -1253,20 +2704,20 @@ function setCCFromUI(which) {
     }
 
     if (which == 0) {
-        cameras[ci].PUTdata("/colorCorrection/lift", ccobject);
+        gangPUTdata("/colorCorrection/lift", ccobject);
     } else if (which == 1) {
-        cameras[ci].PUTdata("/colorCorrection/gamma", ccobject);
+        gangPUTdata("/colorCorrection/gamma", ccobject);
     } else if (which == 2) {
-        cameras[ci].PUTdata("/colorCorrection/gain", ccobject);
+        gangPUTdata("/colorCorrection/gain", ccobject);
     } else if (which == 3) {
-        cameras[ci].PUTdata("/colorCorrection/offset", ccobject);
+        gangPUTdata("/colorCorrection/offset", ccobject);
     } else if (which == 4) {
         let pivotFloat = parseFloat(document.getElementById("CCcontrastPivotLabel").innerHTML);
         let adjustInt = parseInt(document.getElementById("CCcontrastAdjustLabel").innerHTML);
         
         let adjustFloat = adjustInt/50.0;
 
-        cameras[ci].PUTdata("/colorCorrection/contrast", {pivot: pivotFloat, adjust: adjustFloat});
+        gangPUTdata("/colorCorrection/contrast", {pivot: pivotFloat, adjust: adjustFloat});
     } else {
         let hueInt = parseInt(document.getElementById("CCcolorHueLabel").innerHTML);
         let satInt = parseInt(document.getElementById("CCcolorSatLabel").innerHTML);
@@ -1276,8 +2727,8 @@ function setCCFromUI(which) {
         let satFloat = satInt/50.0;
         let lumCoFloat = lumCoInt/100.0;
 
-        cameras[ci].PUTdata("/colorCorrection/color", {hue: hueFloat, saturation: satFloat});
-        cameras[ci].PUTdata("/colorCorrection/lumaContribution", {lumaContribution: lumCoFloat});
+        gangPUTdata("/colorCorrection/color", {hue: hueFloat, saturation: satFloat});
+        gangPUTdata("/colorCorrection/lumaContribution", {lumaContribution: lumCoFloat});
     }
 
     unsavedChanges = unsavedChanges.filter((e) => {return !e.includes("CC"+which)});
@@ -1286,21 +2737,26 @@ function setCCFromUI(which) {
 // Reset Color Correction Values
 // 0: lift, 1: gamma, 2: gain, 3: offset, 4: contrast, 5: color & LC
 function resetCC(which) {
+    // resetCC(5) sends two requests, undo them together
+    changeHistory.beginGroup("Reset " + ["Lift", "Gamma", "Gain", "Offset", "Contrast", "Color"][which]);
+
     if (which == 0) {
-        cameras[ci].PUTdata("/colorCorrection/lift", {"red": 0.0, "green": 0.0, "blue": 0.0, "luma": 0.0});
+        gangPUTdata("/colorCorrection/lift", {"red": 0.0, "green": 0.0, "blue": 0.0, "luma": 0.0}, false);
     } else if (which == 1) {
-        cameras[ci].PUTdata("/colorCorrection/gamma", {"red": 0.0, "green": 0.0, "blue": 0.0, "luma": 0.0});
+        gangPUTdata("/colorCorrection/gamma", {"red": 0.0, "green": 0.0, "blue": 0.0, "luma": 0.0}, false);
     } else if (which == 2) {
-        cameras[ci].PUTdata("/colorCorrection/gain", {"red": 1.0, "green": 1.0, "blue": 1.0, "luma": 1.0});
+        gangPUTdata("/colorCorrection/gain", {"red": 1.0, "green": 1.0, "blue": 1.0, "luma": 1.0}, false);
     } else if (which == 3) {
-        cameras[ci].PUTdata("/colorCorrection/offset", {"red": 0.0, "green": 0.0, "blue": 0.0, "luma": 0.0});
+        gangPUTdata("/colorCorrection/offset", {"red": 0.0, "green": 0.0, "blue": 0.0, "luma": 0.0}, false);
     } else if (which == 4) {
-        cameras[ci].PUTdata("/colorCorrection/contrast", {"pivot": 0.5, "adjust": 1.0});
+        gangPUTdata("/colorCorrection/contrast", {"pivot": 0.5, "adjust": 1.0}, false);
     } else if (which == 5) {
-        cameras[ci].PUTdata("/colorCorrection/color", {"hue": 0.0, "saturation": 1.0});
-        cameras[ci].PUTdata("/colorCorrection/lumaContribution", {"lumaContribution": 1.0});
+        gangPUTdata("/colorCorrection/color", {"hue": 0.0, "saturation": 1.0}, false);
+        gangPUTdata("/colorCorrection/lumaContribution", {"lumaContribution": 1.0}, false);
     }
 
+    changeHistory.endGroup();
+
     unsavedChanges = unsavedChanges.filter((e) => {return !e.includes("CC"+which)});
 }
 
@@ -1315,39 +2771,13 @@ function loopHandler(callerString) {
             return;
         }
         
+        // Just the field that changed, the camera tells us the new state when it's taken it
         if (callerString === "Loop") {
-            playbackState.loop = !playbackState.loop;
+            cameras[ci].PUTdata("/transports/0/playback", {loop: !playbackState.loop});
         } else if (callerString === "Single Clip") {
-            playbackState.singleClip = !playbackState.singleClip;
+            cameras[ci].PUTdata("/transports/0/playback", {singleClip: !playbackState.singleClip});
         }
-
-        cameras[ci].PUTdata("/transports/0/playback", playbackState);
-        updateUIAll();
     } catch (error) {
         console.error('Error updating playback state:', error);
     }
 }
-
-/*  Helper Functions   */
-function parseTimecode(timecodeBCD) {
-    if (!timecodeBCD) return "00:00:00:00";
-    
-    try {
-        // The first bit of the timecode is 1 if "Drop Frame Timecode" is on
-        let noDropFrame = timecodeBCD & 0b01111111111111111111111111111111;
-        
-        // Convert the BCD number into base ten
-        let decimalTCInt = parseInt(noDropFrame.toString(16), 10);
-        
-        // Convert to string, pad with zeros
-        let decimalTCString = decimalTCInt.toString().padStart(8, '0');
-        
-        // Put colons between every two characters
-        let finalTCString = decimalTCString.match(/.{1,2}/g).join(':');
-        
-        return finalTCString;
-    } catch (error) {
-        console.error('Error parsing timecode:', error);
-        return "00:00:00:00";
-    }
-}